@@ -13,22 +13,89 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import NodeCache from 'node-cache';
-import { optimizeHTML } from './services/optimizer.js';
-import { fetchWebsite } from './services/fetcher.js';
+import { createHash, timingSafeEqual } from 'crypto';
+import { optimizeHTML, REMOVAL_CATEGORIES } from './services/optimizer.js';
+import { MIN_BUDGET_BYTES } from './services/budget.js';
+import { optimizeHTMLStreaming, optimizeIntoStream } from './services/streamer.js';
+import { fetchWebsite, fetchWebsiteStream, FetchError } from './services/fetcher.js';
+import { BlockedUrlError, assertFetchableUrl } from './services/guard.js';
 import { calculateMetrics } from './services/metrics.js';
-import { runPageSpeed } from './services/pagespeed.js';
+import { measureSubresources } from './services/subresources.js';
+import { runPageSpeed, comparePageSpeed, PAGESPEED_STRATEGIES } from './services/pagespeed.js';
+import { auditPage } from './services/audit.js';
+import { OUTPUT_FORMATS } from './services/formatter.js';
+import { normalizeUrl } from './services/normalizer.js';
+import { createCache } from './services/cache.js';
+import { JobQueue } from './services/jobs.js';
+import { Crawler, CRAWL_DEFAULTS, MAX_CRAWL_DEPTH, MAX_CRAWL_PAGES } from './services/crawler.js';
+import { ApiKeyStore } from './services/apikeys.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Cache for optimized HTML (10 minutes TTL)
-const htmlCache = new NodeCache({ stdTTL: 600, checkperiod: 120 });
-const metricsCache = new NodeCache({ stdTTL: 3600 }); // 1 hour for metrics
+// Hidden fields added to proxied forms (never forwarded to the target). Every
+// other field of a form submission belongs to the target site.
+const FORM_CONTROL_PARAMS = ['_url', '_form'];
+
+// Client-facing titles for URLs and responses the fetcher refuses
+const FETCH_ERROR_TITLES = {
+  ERR_BLOCKED_URL: 'URL not allowed',
+  ERR_RESPONSE_TOO_LARGE: 'Response too large',
+  ERR_UNSUPPORTED_CONTENT_TYPE: 'Unsupported content type'
+};
+
+// Optional separate origin for optimized pages (e.g. https://view.example.com),
+// so third-party HTML never shares an origin (or cookies) with the API
+const OPTIMIZED_ORIGIN = process.env.OPTIMIZED_ORIGIN
+  ? new URL(process.env.OPTIMIZED_ORIGIN).origin
+  : null;
+
+// Public URL of this server (e.g. https://compressor.example.com), so
+// PageSpeed Insights can load /optimize renditions. Defaults to OPTIMIZED_ORIGIN.
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL
+  ? new URL(process.env.PUBLIC_BASE_URL).href.replace(/\/+$/, '')
+  : OPTIMIZED_ORIGIN;
+
+// Cache for optimized HTML. Entries are fresh for 10 minutes, then revalidated
+// upstream (If-None-Match / If-Modified-Since); stale entries are kept for a
+// day so a 304 can reuse their optimized output.
+// Keys are "<normalized url> <options>"; CACHE_DRIVER=fs keeps both caches across restarts.
+const FRESH_MS = 10 * 60 * 1000;
+const htmlCache = createCache('html', { ttl: 24 * 60 * 60 });
+const metricsCache = createCache('metrics', { ttl: 3600 }); // 1 hour for metrics
+
+// Shared pages behind GET /api/optimize/:id, keyed by a short hash of their
+// content, so the same output always gets the same link. Kept far longer than
+// htmlCache (SHARE_TTL seconds, default 30 days).
+const SHARE_TTL = parseInt(process.env.SHARE_TTL, 10) || 30 * 24 * 60 * 60;
+const shareCache = createCache('shared', { ttl: SHARE_TTL });
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{12}$/;
+
+// PageSpeed Insights results, keyed by "<normalized url> <strategy>". A run
+// takes up to 30 seconds and counts against the PSI quota, so results are
+// reused for PAGESPEED_TTL seconds (default 1 hour).
+const PAGESPEED_TTL = parseInt(process.env.PAGESPEED_TTL, 10) || 3600;
+const pagespeedCache = createCache('pagespeed', { ttl: PAGESPEED_TTL });
+
+// How long after expiry an entry is still served while it refreshes in the
+// background (stale-while-revalidate, in seconds; 0 disables it)
+const STALE_WHILE_REVALIDATE_MS = (parseInt(process.env.STALE_WHILE_REVALIDATE, 10) || 0) * 1000;
+
+// Fetch-and-optimize tasks in progress, keyed like htmlCache
+const inFlight = new Map();
+
+// Largest number of URLs in one batch job
+const MAX_JOB_ITEMS = 100;
+
+// /api/optimize options that apply to crawled pages
+const CRAWL_OPTIMIZE_OPTIONS = ['removeCSS', 'removeImages', 'removeVideos', 'removeFonts', 'promoteNoscript'];
+
+// Shortest interval between two "bytes" progress events
+const PROGRESS_INTERVAL_MS = 100;
 
 // Middleware
 app.use(helmet({
-  contentSecurityPolicy: false, // Allow inline scripts for optimized pages
+  contentSecurityPolicy: false, // Set per route: optimized pages get their own policy
 }));
 app.use(cors({
   origin: ['http://localhost:5173', 'http://localhost:3000'],
@@ -37,12 +104,192 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Rate limiting
+// API keys (X-API-Key header). Anonymous callers are limited per IP, and
+// refused entirely when API_KEYS_REQUIRED=true.
+const apiKeys = new ApiKeyStore({ file: process.env.API_KEYS_FILE || undefined });
+const API_KEYS_REQUIRED = process.env.API_KEYS_REQUIRED === 'true';
+const ANONYMOUS_RATE_LIMIT = parseInt(process.env.ANONYMOUS_RATE_LIMIT, 10) || 100;
+
+/**
+ * Routes that work without an API key even when keys are required: admin
+ * routes have their own token, and optimized content is opened in browser tabs
+ */
+function isKeyExempt(req) {
+  return req.path.startsWith('/admin/') || (req.method === 'GET' && /^\/optimize\/[^/]+$/.test(req.path));
+}
+
+/**
+ * Attach the caller's API key record to req.apiKey. A key that is sent
+ * must be valid, even where anonymous access is allowed.
+ */
+function authenticateApiKey(req, res, next) {
+  const provided = req.get('x-api-key');
+  if (!provided) {
+    if (API_KEYS_REQUIRED && !isKeyExempt(req)) {
+      return res.status(401).json({ error: 'API key required', message: 'Send your key in the X-API-Key header' });
+    }
+    return next();
+  }
+
+  const record = apiKeys.find(provided);
+  if (!record) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  if (record.revokedAt) {
+    return res.status(401).json({ error: 'API key revoked' });
+  }
+  req.apiKey = record;
+  next();
+}
+
+/**
+ * Requests that cost no quota: status polls and cancellations of jobs and
+ * crawls, and the usage endpoint. Job and crawl creation charge per URL in
+ * their routes (see chargeQuota).
+ */
+function isQuotaExempt(req) {
+  return (req.method === 'GET' && req.path === '/usage') ||
+    (['GET', 'DELETE'].includes(req.method) && /^\/(jobs|crawl)\/[^/]+$/.test(req.path)) ||
+    (req.method === 'POST' && ['/jobs', '/crawl'].includes(req.path));
+}
+
+/**
+ * Count units against the caller's daily quota (anonymous requests have none)
+ * and set the X-Quota-* headers. Sends a 429 when they don't fit.
+ * @returns {Object|null} The consume() result, or null when the response was sent
+ */
+function chargeQuota(req, res, units = 1) {
+  if (!req.apiKey) return { allowed: true, day: null };
+
+  const quota = apiKeys.consume(req.apiKey, units);
+  if (quota.limit) {
+    res.setHeader('X-Quota-Limit', String(quota.limit));
+    res.setHeader('X-Quota-Remaining', String(quota.remaining));
+    res.setHeader('X-Quota-Reset', String(Math.ceil(quota.resetAt.getTime() / 1000)));
+  }
+  if (!quota.allowed) {
+    res.status(429).json({
+      error: 'Daily quota exceeded',
+      quota: quota.limit,
+      requested: units,
+      resetAt: quota.resetAt.toISOString()
+    });
+    return null;
+  }
+  return quota;
+}
+
+/**
+ * Count the request against its key's daily quota
+ */
+function enforceQuota(req, res, next) {
+  if (isQuotaExempt(req)) return next();
+  if (chargeQuota(req, res)) next();
+}
+
+/**
+ * Context for background work that reserved quota: refundQuota gives back
+ * what it did not use
+ */
+function quotaReservation(req, quota, units) {
+  return req.apiKey ? { keyId: req.apiKey.id, units, day: quota.day } : null;
+}
+
+function refundQuota(reservation, used) {
+  const record = reservation && apiKeys.get(reservation.keyId);
+  if (record) apiKeys.refund(record, reservation.units - used, reservation.day);
+}
+
+// Rate limiting: per key with an API key, per IP without
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: (req) => (req.apiKey ? req.apiKey.rateLimit : ANONYMOUS_RATE_LIMIT),
+  keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey.id}` : req.ip)
 });
-app.use('/api/', limiter);
+app.use('/api/', authenticateApiKey, limiter, enforceQuota);
+
+/**
+ * Strict policy for third-party HTML: no scripts, no fetch/XHR, and a
+ * sandbox without allow-same-origin, so the page runs in an opaque origin
+ * and can't call /api/* with our cookies
+ */
+const optimizedContentPolicy = helmet.contentSecurityPolicy({
+  useDefaults: false,
+  directives: {
+    defaultSrc: ["'none'"],
+    scriptSrc: ["'none'"],
+    connectSrc: ["'none'"],
+    objectSrc: ["'none'"],
+    baseUri: ["'none'"],
+    imgSrc: ['*', 'data:'],
+    styleSrc: ['*', "'unsafe-inline'"],
+    fontSrc: ['*', 'data:'],
+    mediaSrc: ['*'],
+    frameSrc: ['*'],
+    formAction: ["'self'", 'http:', 'https:'],
+    frameAncestors: ["'self'"],
+    sandbox: ['allow-forms', 'allow-popups', 'allow-popups-to-escape-sandbox', 'allow-top-navigation-by-user-activation']
+  }
+});
+
+/**
+ * Whether a request arrived on the separate optimized-content origin
+ */
+function isOptimizedOrigin(req) {
+  return OPTIMIZED_ORIGIN != null && req.get('host') === new URL(OPTIMIZED_ORIGIN).host;
+}
+
+/**
+ * Base of links that point at /optimize: the configured origin, or none
+ * (root-relative links). Never taken from the request, since rewritten pages
+ * are cached and shared between callers, and Host is client-controlled.
+ */
+function optimizedBase() {
+  return OPTIMIZED_ORIGIN || PUBLIC_BASE_URL || '';
+}
+
+/**
+ * Optimized pages are only served from the optimized origin when one is set
+ */
+function serveFromOptimizedOrigin(req, res, next) {
+  if (!OPTIMIZED_ORIGIN || isOptimizedOrigin(req)) return next();
+  res.redirect(302, `${OPTIMIZED_ORIGIN}${req.originalUrl}`);
+}
+
+// The optimized origin serves optimized pages only, never the API
+app.use((req, res, next) => {
+  if (!isOptimizedOrigin(req)) return next();
+
+  const isContentRoute = req.path === '/optimize' ||
+    (req.method === 'GET' && /^\/api\/optimize\/[^/]+$/.test(req.path));
+  if (isContentRoute || req.path === '/health') return next();
+
+  res.status(404).json({ error: 'Not found' });
+});
+
+/**
+ * Response body field for optimized content: HTML keeps the historical
+ * optimizedHTML field, other formats are returned under content
+ */
+function formatPayload(format, content) {
+  return format === 'html' ? { optimizedHTML: content } : { content };
+}
+
+/**
+ * Byte budgets must be integers of at least MIN_BUDGET_BYTES
+ */
+function isValidBudget(value) {
+  return Number.isInteger(Number(value)) && Number(value) >= MIN_BUDGET_BYTES;
+}
+
+/**
+ * Separate split pages from the budget report so the report stays small
+ */
+function splitBudget(result) {
+  if (!result) return { budget: null, parts: undefined };
+  const { parts, ...budget } = result;
+  return { budget, parts: parts || undefined };
+}
 
 // Health check
 app.get('/health', (req, res) => {
@@ -50,8 +297,23 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * GET /api/pagespeed?url=...&strategy=mobile|desktop
- * Fetches Google PageSpeed Insights metrics for a URL.
+ * PageSpeed result for one strategy, from pagespeedCache when available
+ * @returns {Promise<Object>} The result with `cached`
+ */
+async function cachedPageSpeed(url, strategy) {
+  const cacheKey = `${normalizeUrl(url)} ${strategy}`;
+  const cached = await pagespeedCache.get(cacheKey);
+  if (cached) return { ...cached, cached: true };
+
+  const result = await runPageSpeed(url, strategy);
+  pagespeedCache.set(cacheKey, result);
+  return { ...result, cached: false };
+}
+
+/**
+ * GET /api/pagespeed?url=...&strategy=mobile|desktop|both
+ * Fetches Google PageSpeed Insights metrics, opportunities and diagnostics
+ * for a URL. strategy=both runs mobile and desktop side by side.
  */
 app.get('/api/pagespeed', async (req, res) => {
   try {
@@ -66,7 +328,18 @@ app.get('/api/pagespeed', async (req, res) => {
       return res.status(400).json({ error: 'Invalid URL format' });
     }
 
-    const result = await runPageSpeed(targetUrl.href, strategy);
+    if (strategy !== 'both' && !PAGESPEED_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ error: `strategy must be one of: ${[...PAGESPEED_STRATEGIES, 'both'].join(', ')}` });
+    }
+
+    if (strategy === 'both') {
+      const [mobile, desktop] = await Promise.all(
+        PAGESPEED_STRATEGIES.map((each) => cachedPageSpeed(targetUrl.href, each))
+      );
+      return res.json({ url: targetUrl.href, strategy, mobile, desktop });
+    }
+
+    const result = await cachedPageSpeed(targetUrl.href, strategy);
     res.json(result);
   } catch (error) {
     console.error('PageSpeed error:', error?.message || error);
@@ -75,100 +348,735 @@ app.get('/api/pagespeed', async (req, res) => {
 });
 
 /**
- * POST /api/optimize
- * Fetches a website, optimizes it, and returns optimized HTML
+ * PageSpeed runs of a page and of its /optimize rendition, with their deltas
  */
-app.post('/api/optimize', async (req, res) => {
+async function comparePageSpeedRuns(url, optimizedUrl, strategy) {
+  const [original, optimized] = await Promise.all([
+    cachedPageSpeed(url, strategy),
+    cachedPageSpeed(optimizedUrl, strategy)
+  ]);
+  return { original, optimized, delta: comparePageSpeed(original, optimized) };
+}
+
+/**
+ * GET /api/pagespeed/compare?url=...&strategy=mobile|desktop|both
+ * Runs PageSpeed Insights on a URL and on its /optimize?url= rendition at
+ * PUBLIC_BASE_URL, and returns both with the score and metric deltas.
+ */
+app.get('/api/pagespeed/compare', async (req, res) => {
   try {
-    const { url, removeCSS = true, removeImages = true, removeVideos = true, removeFonts = true } = req.body;
+    const { url, strategy = 'mobile' } = req.query;
+    if (!url) return res.status(400).json({ error: 'url is required' });
 
-    if (!url) {
-      return res.status(400).json({ error: 'URL is required' });
+    let targetUrl;
+    try {
+      targetUrl = new URL(url);
+    } catch {
+      return res.status(400).json({ error: 'Invalid URL format' });
     }
 
-    // Validate URL
+    if (strategy !== 'both' && !PAGESPEED_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ error: `strategy must be one of: ${[...PAGESPEED_STRATEGIES, 'both'].join(', ')}` });
+    }
+
+    // PageSpeed Insights runs on Google's side, so it needs a public URL for the rendition
+    if (!PUBLIC_BASE_URL) {
+      return res.status(503).json({
+        error: 'Comparison unavailable',
+        message: 'Set PUBLIC_BASE_URL to the public URL of this server so PageSpeed Insights can load optimized pages'
+      });
+    }
+
+    const optimizedUrl = `${PUBLIC_BASE_URL}/optimize?url=${encodeURIComponent(targetUrl.href)}`;
+
+    if (strategy === 'both') {
+      const [mobile, desktop] = await Promise.all(
+        PAGESPEED_STRATEGIES.map((each) => comparePageSpeedRuns(targetUrl.href, optimizedUrl, each))
+      );
+      return res.json({ url: targetUrl.href, optimizedUrl, strategy, mobile, desktop });
+    }
+
+    const comparison = await comparePageSpeedRuns(targetUrl.href, optimizedUrl, strategy);
+    res.json({ url: targetUrl.href, optimizedUrl, strategy, ...comparison });
+  } catch (error) {
+    console.error('PageSpeed comparison error:', error?.message || error);
+    res.status(500).json({ error: 'Failed to compare PageSpeed', message: error.message });
+  }
+});
+
+/**
+ * GET /api/audit?url=...
+ * Audits the page offline (no Google API): same shape as /api/pagespeed,
+ * with strategy "static" and the failing audits as opportunities.
+ */
+app.get('/api/audit', async (req, res) => {
+  try {
+    const { url } = req.query;
+    if (!url) return res.status(400).json({ error: 'url is required' });
+
     let targetUrl;
     try {
       targetUrl = new URL(url);
-    } catch (e) {
+    } catch {
       return res.status(400).json({ error: 'Invalid URL format' });
     }
 
-    // Check cache first
-    const cacheKey = `${targetUrl.href}_${removeCSS}_${removeImages}_${removeVideos}_${removeFonts}`;
-    const cached = htmlCache.get(cacheKey);
-    if (cached) {
-      return res.json({
-        optimizedHTML: cached.html,
-        metrics: cached.metrics,
-        cached: true,
-        url: targetUrl.href
+    const page = await fetchWebsite(targetUrl.href);
+    res.json(auditPage(page.html, { url: page.finalUrl, contentEncoding: page.contentEncoding }));
+  } catch (error) {
+    if (isRefusedFetch(error)) {
+      const { status, body } = optimizeErrorResponse(error);
+      return res.status(status).json(body);
+    }
+    console.error('Audit error:', error?.message || error);
+    res.status(500).json({ error: 'Failed to audit website', message: error.message });
+  }
+});
+
+/**
+ * Validate a /api/optimize request body (also used for batch job items)
+ * @returns {{error: string}|{request: Object}} request holds the options with defaults applied
+ */
+function parseOptimizeRequest(body = {}) {
+  const { url, removeCSS = true, removeImages = true, removeVideos = true, removeFonts = true, proxyLinks = false, extractArticle = false, format = 'html', maxBytes = null, stream = false, promoteNoscript = true, truncate = false, measureSubresources = false } = body;
+
+  if (!url) {
+    return { error: 'URL is required' };
+  }
+
+  if (maxBytes != null && !isValidBudget(maxBytes)) {
+    return { error: `maxBytes must be an integer of at least ${MIN_BUDGET_BYTES}` };
+  }
+  const budgetBytes = maxBytes != null ? Number(maxBytes) : null;
+
+  if (!OUTPUT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${OUTPUT_FORMATS.join(', ')}` };
+  }
+
+  // Validate URL
+  let targetUrl;
+  try {
+    targetUrl = new URL(url);
+  } catch (e) {
+    return { error: 'Invalid URL format' };
+  }
+
+  return {
+    request: { targetUrl, removeCSS, removeImages, removeVideos, removeFonts, proxyLinks, extractArticle, format, budgetBytes, stream, promoteNoscript, truncate, measureSubresources: Boolean(measureSubresources) }
+  };
+}
+
+/**
+ * Whether a request is optimized with the streaming optimizer (which can't
+ * apply whole-tree options)
+ */
+function usesStreaming(request) {
+  return Boolean(request.stream) && !request.extractArticle && request.format === 'html' && request.budgetBytes == null;
+}
+
+/**
+ * htmlCache key of an optimize request: the normalized page URL (equivalent
+ * URLs share one key), then every option that changes the stored entry.
+ * The only place these keys are built.
+ */
+function optimizeCacheKey(request) {
+  const options = [
+    request.removeCSS,
+    request.removeImages,
+    request.removeVideos,
+    request.removeFonts,
+    request.proxyLinks,
+    request.extractArticle,
+    request.format,
+    request.budgetBytes,
+    request.promoteNoscript,
+    request.truncate,
+    request.measureSubresources,
+    usesStreaming(request)
+  ];
+  return `${normalizeUrl(request.targetUrl)} ${options.join('_')}`;
+}
+
+/**
+ * Fetch and optimize a page through htmlCache. Fresh entries are reused,
+ * stale ones revalidated (or served while they refresh), and concurrent
+ * callers share one fetch and one optimization.
+ *
+ * onProgress receives the stages of a fetch started by this call: fetch,
+ * bytes, parse, one removal per category, subresources (when measured),
+ * then metrics. Calls answered from
+ * the cache or joining another caller's fetch report no stages.
+ *
+ * With a sink, a streaming request that starts a fetch optimizes the page
+ * while it downloads and writes it to the sink as bytes are ready
+ * (state.streamed); otherwise the caller sends the returned entry.
+ * @param {Object} request - Options from parseOptimizeRequest
+ * @param {string} proxyPath - Route that rewritten links point at
+ * @param {(stage: string, data: Object) => void} [onProgress] - Progress callback
+ * @param {import('stream').Writable} [sink] - Response to stream into
+ * @returns {Promise<{entry: Object, state: {cached?: boolean, revalidated?: boolean, stale?: boolean, streamed?: boolean}}>}
+ */
+async function optimizeCached(request, proxyPath, onProgress = () => {}, sink = null) {
+  const { targetUrl, removeCSS, removeImages, removeVideos, removeFonts, proxyLinks, extractArticle, format, budgetBytes, promoteNoscript, truncate, measureSubresources: measureWeight } = request;
+  const useStreaming = usesStreaming(request);
+
+  // Check cache first
+  const pageKey = normalizeUrl(targetUrl);
+  const cacheKey = optimizeCacheKey(request);
+  const cached = await htmlCache.get(cacheKey);
+  if (isFresh(cached)) {
+    return { entry: cached, state: { cached: true } };
+  }
+
+  const optimizeOptions = {
+    removeCSS,
+    removeImages,
+    removeVideos,
+    removeFonts,
+    proxyLinks,
+    proxyPath,
+    extractArticle,
+    format,
+    maxBytes: budgetBytes,
+    promoteNoscript
+  };
+
+  // Only set when this call started the fetch and wrote to the sink
+  let streamed = false;
+
+  // Fetch and optimize once, however many callers are waiting for this key
+  const refresh = (target = null) => coalesce(cacheKey, async () => {
+    // Fetch website (conditionally when a stale copy is cached)
+    onProgress('fetch', { url: targetUrl.href, revalidating: Boolean(cached?.validators) });
+    const fetchOptions = { truncate, validators: cached?.validators };
+
+    let page;
+    let optimizedResult;
+    if (target && useStreaming) {
+      page = await fetchWebsiteStream(targetUrl.href, fetchOptions);
+      if (!page.notModified) {
+        streamed = true;
+        optimizedResult = await optimizeIntoStream(page.stream, target, {
+          ...optimizeOptions,
+          baseUrl: page.finalUrl,
+          contentType: page.contentType
+        });
+        page = {
+          ...page,
+          html: optimizedResult.original,
+          originalSize: optimizedResult.originalSize,
+          charset: optimizedResult.charset,
+          loadTime: optimizedResult.receivedAt - page.startTime
+        };
+      }
+    } else {
+      page = await fetchWebsite(targetUrl.href, {
+        ...fetchOptions,
+        onBytes: (received) => onProgress('bytes', { received })
       });
     }
+    if (page.notModified && cached) {
+      return { entry: refreshEntry(cacheKey, cached, page.validators), revalidated: true };
+    }
+    const { html, originalSize, loadTime, finalUrl, charset, truncated, validators } = page;
+    onProgress('bytes', { received: originalSize, done: true, loadTime, statusCode: page.statusCode, truncated });
 
-    // Fetch website
-    const { html, originalSize, loadTime } = await fetchWebsite(targetUrl.href);
+    // Optimize HTML (streaming path when no whole-tree option is needed)
+    if (!optimizedResult) {
+      const optimize = useStreaming ? optimizeHTMLStreaming : optimizeHTML;
+      optimizedResult = await optimize(html, {
+        ...optimizeOptions,
+        baseUrl: finalUrl,
+        onParse: ({ bytes }) => onProgress('parse', { format, bytes })
+      });
+    }
+    const { budget, parts } = splitBudget(optimizedResult.budget);
+    reportRemovals(optimizedResult, onProgress);
 
-    // Optimize HTML
-    const optimizedResult = await optimizeHTML(html, {
-      removeCSS,
-      removeImages,
-      removeVideos,
-      removeFonts
-    });
+    // Optionally measure the images, stylesheets, fonts... the page references
+    let subresourceWeight = null;
+    if (measureWeight) {
+      subresourceWeight = await measureSubresources(html, optimizedResult.output, finalUrl);
+      onProgress('subresources', {
+        requests: subresourceWeight.requests,
+        measured: subresourceWeight.measured,
+        avoidedBytes: subresourceWeight.avoidedBytes
+      });
+    }
 
-    // Calculate metrics
+    // Calculate metrics (on the output actually returned)
     const metrics = calculateMetrics({
       originalHTML: html,
-      optimizedHTML: optimizedResult.html,
+      optimizedHTML: optimizedResult.output,
       originalSize,
       loadTime,
       imagesRemoved: optimizedResult.imagesRemoved,
       cssRemoved: optimizedResult.cssRemoved,
       videosRemoved: optimizedResult.videosRemoved,
-      fontsRemoved: optimizedResult.fontsRemoved
+      fontsRemoved: optimizedResult.fontsRemoved,
+      noscriptPromoted: optimizedResult.noscriptPromoted,
+      sanitized: optimizedResult.sanitized,
+      subresourceWeight
     });
+    onProgress('metrics', { metrics });
 
     // Cache result
-    htmlCache.set(cacheKey, {
-      html: optimizedResult.html,
-      metrics
-    });
+    const entry = cacheEntry(cacheKey, {
+      html: optimizedResult.output,
+      content: optimizedResult.content,
+      contentType: optimizedResult.contentType,
+      metrics,
+      article: optimizedResult.article,
+      budget,
+      parts,
+      charset,
+      truncated
+    }, validators);
 
     // Store metrics separately
-    metricsCache.set(targetUrl.href, metrics);
+    metricsCache.set(pageKey, metrics);
 
-    res.json({
-      optimizedHTML: optimizedResult.html,
-      metrics,
-      cached: false,
-      url: targetUrl.href
+    return { entry, revalidated: false };
+  });
+
+  // Recently expired: answer from cache and refresh in the background
+  if (isServableStale(cached)) {
+    refreshInBackground(refresh);
+    return { entry: cached, state: { cached: true, stale: true } };
+  }
+
+  const { entry, revalidated } = await refresh(sink);
+  if (streamed) return { entry, state: { streamed } };
+  return { entry, state: revalidated ? { cached: true, revalidated } : {} };
+}
+
+/**
+ * Report the removal stages of an optimizer result
+ */
+function reportRemovals(result, onProgress) {
+  for (const [category, field] of Object.entries(REMOVAL_CATEGORIES)) {
+    onProgress('removal', { category, count: result[field] || 0 });
+  }
+  onProgress('removal', { category: 'links', count: result.linksRewritten || 0 });
+}
+
+/**
+ * Short id of an optimized page: a hash of its content (and split pages)
+ */
+function shareId(entry) {
+  const hash = createHash('sha256').update(entry.html);
+  (entry.parts || []).forEach((part) => hash.update('\0').update(part));
+  return hash.digest('base64url').slice(0, 12);
+}
+
+/**
+ * Keep an optimized page for GET /api/optimize/:id and return its share link
+ * @returns {{id: string, shareUrl: string}}
+ */
+function sharePage(entry, url) {
+  const id = shareId(entry);
+  if (!shareCache.has(id)) {
+    shareCache.set(id, {
+      html: entry.html,
+      contentType: entry.contentType,
+      parts: entry.parts,
+      url,
+      sharedAt: new Date().toISOString()
     });
+  }
+  return { id, shareUrl: `${optimizedBase()}/api/optimize/${id}` };
+}
 
-  } catch (error) {
-    console.error('Optimization error:', error);
-    res.status(500).json({
+/**
+ * /api/optimize response body for an optimized (or cached) page
+ */
+function optimizeResponse(request, entry, state, share) {
+  return {
+    ...formatPayload(request.format, entry.content),
+    format: request.format,
+    metrics: entry.metrics,
+    article: entry.article,
+    budget: entry.budget,
+    parts: entry.parts,
+    charset: entry.charset,
+    truncated: entry.truncated,
+    cached: false,
+    revalidated: false,
+    stale: false,
+    ...state,
+    ...share,
+    url: request.targetUrl.href
+  };
+}
+
+/**
+ * /api/optimize error status and body
+ * @returns {{status: number, body: Object}}
+ */
+function optimizeErrorResponse(error) {
+  if (isRefusedFetch(error)) {
+    return {
+      status: error.statusCode,
+      body: {
+        error: FETCH_ERROR_TITLES[error.code],
+        code: error.code,
+        message: error.message,
+        ...error.details
+      }
+    };
+  }
+
+  console.error('Optimization error:', error);
+  return {
+    status: 500,
+    body: {
       error: 'Failed to optimize website',
       message: error.message
+    }
+  };
+}
+
+/**
+ * POST /api/optimize
+ * Fetches a website, optimizes it, and returns optimized HTML
+ *
+ * With Accept: text/event-stream the response is a Server-Sent Events stream
+ * of progress stages (fetch, bytes, parse, removal, metrics), ending with a
+ * "result" event carrying the usual response body, or an "error" event.
+ */
+app.post('/api/optimize', async (req, res) => {
+  const { error, request } = parseOptimizeRequest(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream') {
+    return streamOptimizeProgress(req, res, request);
+  }
+
+  try {
+    const { entry, state } = await optimizeCached(request, `${optimizedBase()}/optimize`);
+    res.json(optimizeResponse(request, entry, state, sharePage(entry, request.targetUrl.href)));
+  } catch (error) {
+    const { status, body } = optimizeErrorResponse(error);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Run an optimization, sending its progress as Server-Sent Events.
+ * The optimization still completes (and is cached) if the client goes away.
+ */
+async function streamOptimizeProgress(req, res, request) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let proxies hold events back
+  });
+
+  const send = (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Byte counts arrive per chunk; pass them on at most every PROGRESS_INTERVAL_MS
+  let lastBytesAt = 0;
+  const onProgress = (stage, data) => {
+    if (stage === 'bytes' && !data.done) {
+      const now = Date.now();
+      if (now - lastBytesAt < PROGRESS_INTERVAL_MS) return;
+      lastBytesAt = now;
+    }
+    send(stage, data);
+  };
+
+  try {
+    const { entry, state } = await optimizeCached(request, `${optimizedBase()}/optimize`, onProgress);
+    send('result', optimizeResponse(request, entry, state, sharePage(entry, request.targetUrl.href)));
+  } catch (error) {
+    const { status, body } = optimizeErrorResponse(error);
+    send('error', { status, ...body });
+  }
+  res.end();
+}
+
+// Batch jobs share one queue; items go through the same cache as /api/optimize
+const jobQueue = new JobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 3,
+  worker: async (input, job) => {
+    const { request } = parseOptimizeRequest(input);
+    const { entry, state } = await optimizeCached(request, job.context.proxyPath);
+    return { metrics: entry.metrics, cached: Boolean(state.cached) };
+  },
+  // Items cancelled before they ran are not charged
+  onFinish: (job) => refundQuota(
+    job.context.quota,
+    job.items.filter((item) => item.startedAt).length
+  )
+});
+
+// URLs waiting in the job queue, in total and per API key (or IP)
+const MAX_QUEUED_JOB_URLS = parseInt(process.env.MAX_QUEUED_JOB_URLS, 10) || 1000;
+const MAX_QUEUED_JOB_URLS_PER_CLIENT = parseInt(process.env.MAX_QUEUED_JOB_URLS_PER_CLIENT, 10) || 200;
+
+/**
+ * POST /api/jobs
+ * Queue a batch of optimizations. Body: { urls: [...], items: [{ url, ...options }], options }
+ * where options apply to every URL. Returns 202 with the job id to poll.
+ */
+app.post('/api/jobs', (req, res) => {
+  try {
+    const { urls = [], items = [], options = {} } = req.body;
+
+    if (!Array.isArray(urls) || !Array.isArray(items)) {
+      return res.status(400).json({ error: 'urls and items must be arrays' });
+    }
+
+    const inputs = [...urls.map((url) => ({ url })), ...items]
+      .map((item) => ({ ...options, ...item }));
+
+    if (!inputs.length) {
+      return res.status(400).json({ error: 'At least one URL is required' });
+    }
+    if (inputs.length > MAX_JOB_ITEMS) {
+      return res.status(400).json({ error: `A job can contain at most ${MAX_JOB_ITEMS} URLs` });
+    }
+
+    for (const [index, input] of inputs.entries()) {
+      const { error } = parseOptimizeRequest(input);
+      if (error) {
+        return res.status(400).json({ error: `Item ${index}: ${error}` });
+      }
+    }
+
+    const client = req.apiKey ? `key:${req.apiKey.id}` : req.ip;
+    const queued = jobQueue.countPending((job) => job.context.client === client);
+    if (queued + inputs.length > MAX_QUEUED_JOB_URLS_PER_CLIENT) {
+      return res.status(429).json({
+        error: 'Too many queued URLs',
+        message: `At most ${MAX_QUEUED_JOB_URLS_PER_CLIENT} URLs can wait in the job queue per client (${queued} queued); wait for jobs to finish or cancel one`
+      });
+    }
+    if (jobQueue.countPending() + inputs.length > MAX_QUEUED_JOB_URLS) {
+      return res.status(429).json({
+        error: 'Job queue full',
+        message: `The job queue holds at most ${MAX_QUEUED_JOB_URLS} URLs; try again later`
+      });
+    }
+
+    // One unit per URL, reserved now; URLs cancelled before they run are refunded
+    const quota = chargeQuota(req, res, inputs.length);
+    if (!quota) return;
+
+    const job = jobQueue.create(inputs, {
+      client,
+      proxyPath: `${optimizedBase()}/optimize`,
+      quota: quotaReservation(req, quota, inputs.length)
     });
+
+    res.status(202).json({
+      id: job.id,
+      status: job.status,
+      total: job.items.length,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('Error creating job:', error);
+    res.status(500).json({ error: 'Failed to create job' });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job status with per-URL status and metrics
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
   }
+  res.json(jobQueue.summarize(job));
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a job: queued URLs are skipped, URLs already running finish
+ */
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+  res.json(jobQueue.summarize(job));
+});
+
+const crawler = new Crawler({
+  concurrency: parseInt(process.env.CRAWL_CONCURRENCY, 10) || 3,
+  // Only pages that were fetched are charged
+  onFinish: (crawl) => refundQuota(
+    crawl.context.quota,
+    crawl.pages.filter((page) => !['queued', 'cancelled'].includes(page.status)).length
+  )
+});
+
+// Crawls running at once across all callers, and per API key (or IP)
+const MAX_ACTIVE_CRAWLS = parseInt(process.env.MAX_ACTIVE_CRAWLS, 10) || 10;
+const MAX_CRAWLS_PER_CLIENT = parseInt(process.env.MAX_CRAWLS_PER_CLIENT, 10) || 2;
+
+/**
+ * Whether a crawl limit is an integer within [min, max]
+ */
+function isValidLimit(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * POST /api/crawl
+ * Crawl a site from a URL (and optionally its sitemap.xml), optimizing every
+ * page. Body: { url, maxDepth, maxPages, sitemap, followLinks, truncate, options }
+ * where options takes the /api/optimize removal options. Returns 202 with the
+ * crawl id to poll.
+ */
+app.post('/api/crawl', (req, res) => {
+  try {
+    const {
+      url,
+      maxDepth = CRAWL_DEFAULTS.maxDepth,
+      maxPages = CRAWL_DEFAULTS.maxPages,
+      sitemap = false,
+      followLinks = true,
+      truncate = false,
+      options = {}
+    } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+
+    let startUrl;
+    try {
+      startUrl = new URL(url);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid URL format' });
+    }
+    assertFetchableUrl(startUrl.href);
+
+    if (!isValidLimit(maxDepth, 0, MAX_CRAWL_DEPTH)) {
+      return res.status(400).json({ error: `maxDepth must be an integer from 0 to ${MAX_CRAWL_DEPTH}` });
+    }
+    if (!isValidLimit(maxPages, 1, MAX_CRAWL_PAGES)) {
+      return res.status(400).json({ error: `maxPages must be an integer from 1 to ${MAX_CRAWL_PAGES}` });
+    }
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      return res.status(400).json({ error: 'options must be an object' });
+    }
+
+    // An explicit sitemap must belong to the site being crawled
+    if (typeof sitemap === 'string') {
+      let sitemapUrl;
+      try {
+        sitemapUrl = new URL(sitemap, startUrl);
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid sitemap URL' });
+      }
+      if (sitemapUrl.origin !== startUrl.origin) {
+        return res.status(400).json({ error: 'sitemap must be on the same origin as url' });
+      }
+    }
+
+    const optimize = Object.fromEntries(
+      CRAWL_OPTIMIZE_OPTIONS
+        .filter((name) => options[name] !== undefined)
+        .map((name) => [name, Boolean(options[name])])
+    );
+
+    const client = req.apiKey ? `key:${req.apiKey.id}` : req.ip;
+    if (crawler.countActive((crawl) => crawl.context.client === client) >= MAX_CRAWLS_PER_CLIENT) {
+      return res.status(429).json({
+        error: 'Too many crawls',
+        message: `At most ${MAX_CRAWLS_PER_CLIENT} crawls can run at once per client; wait for one to finish or cancel it`
+      });
+    }
+    if (crawler.countActive() >= MAX_ACTIVE_CRAWLS) {
+      return res.status(503).json({
+        error: 'Crawler busy',
+        message: `${MAX_ACTIVE_CRAWLS} crawls are already running; try again later`
+      });
+    }
+
+    // One unit per page: maxPages is reserved now and unfetched pages are refunded
+    const quota = chargeQuota(req, res, maxPages);
+    if (!quota) return;
+
+    const crawl = crawler.create(startUrl.href, {
+      maxDepth,
+      maxPages,
+      sitemap: typeof sitemap === 'string' ? new URL(sitemap, startUrl).href : Boolean(sitemap),
+      followLinks: Boolean(followLinks),
+      truncate: Boolean(truncate),
+      optimize
+    }, { client, quota: quotaReservation(req, quota, maxPages) });
+
+    res.status(202).json({
+      id: crawl.id,
+      status: crawl.status,
+      statusUrl: `/api/crawl/${crawl.id}`
+    });
+  } catch (error) {
+    if (isRefusedFetch(error)) {
+      return res.status(error.statusCode).json({
+        error: FETCH_ERROR_TITLES[error.code],
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('Error starting crawl:', error);
+    res.status(500).json({ error: 'Failed to start crawl' });
+  }
+});
+
+/**
+ * GET /api/crawl/:id
+ * Crawl progress, the aggregate report so far and per-page results
+ */
+app.get('/api/crawl/:id', (req, res) => {
+  const crawl = crawler.get(req.params.id);
+  if (!crawl) {
+    return res.status(404).json({ error: 'Crawl not found or expired' });
+  }
+  res.json(crawler.summarize(crawl));
+});
+
+/**
+ * DELETE /api/crawl/:id
+ * Cancel a crawl: queued pages are skipped, pages being fetched finish
+ */
+app.delete('/api/crawl/:id', (req, res) => {
+  const crawl = crawler.cancel(req.params.id);
+  if (!crawl) {
+    return res.status(404).json({ error: 'Crawl not found or expired' });
+  }
+  res.json(crawler.summarize(crawl));
 });
 
 /**
  * GET /api/optimize/:id
- * Get optimized HTML by ID (for serving in browser)
+ * Get optimized HTML by the id returned from POST /api/optimize (share links).
+ * Pass part=N for the split pages of a byte-budgeted result.
+ * Served sandboxed with a strict Content-Security-Policy.
  */
-app.get('/api/optimize/:id', async (req, res) => {
+app.get('/api/optimize/:id', serveFromOptimizedOrigin, optimizedContentPolicy, async (req, res) => {
   try {
     const { id } = req.params;
-    const cached = htmlCache.get(id);
+    const shared = SHARE_ID_PATTERN.test(id) ? await shareCache.get(id) : undefined;
     
-    if (!cached) {
+    if (!shared) {
       return res.status(404).json({ error: 'Optimized content not found' });
     }
 
-    res.setHeader('Content-Type', 'text/html');
-    res.send(cached.html);
+    sendPart(req, res, shared, req.query.part);
   } catch (error) {
     console.error('Error serving optimized HTML:', error);
     res.status(500).json({ error: 'Failed to serve optimized content' });
@@ -187,7 +1095,7 @@ app.post('/api/metrics', (req, res) => {
       return res.status(400).json({ error: 'URL and metrics are required' });
     }
 
-    metricsCache.set(url, {
+    metricsCache.set(normalizeUrl(url), {
       ...metrics,
       timestamp: new Date().toISOString()
     });
@@ -203,7 +1111,7 @@ app.post('/api/metrics', (req, res) => {
  * GET /api/metrics/:url
  * Get metrics for a specific URL
  */
-app.get('/api/metrics', (req, res) => {
+app.get('/api/metrics', async (req, res) => {
   try {
     const { url } = req.query;
 
@@ -211,7 +1119,7 @@ app.get('/api/metrics', (req, res) => {
       return res.status(400).json({ error: 'URL parameter is required' });
     }
 
-    const metrics = metricsCache.get(url);
+    const metrics = await metricsCache.get(normalizeUrl(url));
     
     if (!metrics) {
       return res.status(404).json({ error: 'Metrics not found for this URL' });
@@ -224,13 +1132,166 @@ app.get('/api/metrics', (req, res) => {
   }
 });
 
+/**
+ * Admin routes require ADMIN_TOKEN as a bearer token, and are disabled
+ * while it is unset
+ */
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(404).json({ error: 'Admin endpoints are disabled' });
+  }
+
+  const provided = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+/**
+ * Page URL a cache key belongs to (keys are "<normalized url> <options>")
+ */
+function cacheKeyUrl(key) {
+  return key.split(' ')[0];
+}
+
+/**
+ * GET /api/admin/cache
+ * Cache statistics (entries, bytes, hits, misses, evictions)
+ */
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  res.json({
+    html: htmlCache.getStats(),
+    metrics: metricsCache.getStats(),
+    shared: shareCache.getStats(),
+    pagespeed: pagespeedCache.getStats(),
+    inFlight: inFlight.size
+  });
+});
+
+/**
+ * DELETE /api/admin/cache?url=...|prefix=...
+ * Purge cached pages, metrics, PageSpeed results and shared pages for one URL
+ * (normalized like cache keys) or for every URL starting with a prefix
+ */
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    const { url, prefix } = req.query;
+
+    let matches;
+    if (url) {
+      const target = normalizeUrl(url);
+      matches = (key) => cacheKeyUrl(key) === target;
+    } else if (prefix) {
+      matches = (key) => cacheKeyUrl(key).startsWith(prefix);
+    } else {
+      return res.status(400).json({ error: 'url or prefix parameter is required' });
+    }
+
+    res.json({
+      purged: {
+        html: htmlCache.purge(matches),
+        metrics: metricsCache.purge(matches),
+        pagespeed: pagespeedCache.purge(matches),
+        // Shared pages are keyed by content; match the URL they were shared for
+        shared: await shareCache.purgeValues((shared) => Boolean(shared.url) && matches(normalizeUrl(shared.url)))
+      }
+    });
+  } catch (error) {
+    console.error('Error purging cache:', error);
+    res.status(500).json({ error: 'Failed to purge cache' });
+  }
+});
+
+/**
+ * GET /api/usage
+ * Usage and limits of the caller's API key
+ */
+app.get('/api/usage', (req, res) => {
+  if (!req.apiKey) {
+    return res.status(401).json({ error: 'API key required', message: 'Send your key in the X-API-Key header' });
+  }
+  res.json(apiKeys.describe(req.apiKey));
+});
+
+/**
+ * GET /api/admin/keys
+ * Every API key (revoked ones included) with its limits and usage
+ */
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+  res.json({ keys: apiKeys.list().map((record) => apiKeys.describe(record)) });
+});
+
+/**
+ * POST /api/admin/keys
+ * Issue an API key. Body: { name, rateLimit, dailyQuota }. The key itself is
+ * only returned here.
+ */
+app.post('/api/admin/keys', requireAdmin, (req, res) => {
+  try {
+    const { name = '', rateLimit, dailyQuota } = req.body;
+
+    if (typeof name !== 'string' || name.length > 100) {
+      return res.status(400).json({ error: 'name must be a string of at most 100 characters' });
+    }
+    if (rateLimit !== undefined && !(Number.isInteger(rateLimit) && rateLimit > 0)) {
+      return res.status(400).json({ error: 'rateLimit must be a positive integer' });
+    }
+    if (dailyQuota !== undefined && !(Number.isInteger(dailyQuota) && dailyQuota >= 0)) {
+      return res.status(400).json({ error: 'dailyQuota must be a non-negative integer (0 = unlimited)' });
+    }
+
+    const { key, record } = apiKeys.issue({ name, rateLimit, dailyQuota });
+    res.status(201).json({ key, ...apiKeys.describe(record) });
+  } catch (error) {
+    console.error('Error issuing API key:', error);
+    res.status(500).json({ error: 'Failed to issue API key' });
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke an API key (it stays listed with its usage)
+ */
+app.delete('/api/admin/keys/:id', requireAdmin, (req, res) => {
+  try {
+    const record = apiKeys.revoke(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json(apiKeys.describe(record));
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
 /**
  * GET /optimize
  * Serve optimized page directly (for opening in new tab)
+ *
+ * Links and GET forms are routed back through this endpoint so browsing
+ * stays in compressed mode. Pass browse=0 to keep the original links.
+ * Pass format=markdown|text|json for alternate output.
+ * Pass maxBytes=N to fit a byte budget; split pages are served with part=N.
+ * Pass stream=1 to optimize while downloading and send bytes as they are ready.
+ * Pass truncate=1 to optimize the first MAX_RESPONSE_BYTES of oversized pages.
+ *
+ * Served sandboxed with a strict Content-Security-Policy, and redirected to
+ * OPTIMIZED_ORIGIN when one is configured. Responses carry an ETag, so
+ * browsers revalidate with If-None-Match and get 304s (streamed responses
+ * don't; the entry they store does).
  */
-app.get('/optimize', async (req, res) => {
+app.get('/optimize', serveFromOptimizedOrigin, optimizedContentPolicy, async (req, res) => {
   try {
-    const { url } = req.query;
+    // Proxied GET forms carry the target in _url; their other fields are the
+    // site's own and must not be read as options (a field named format or url)
+    const isFormSubmission = req.query._form === '1';
+    const options = isFormSubmission ? { url: req.query._url } : req.query;
+    const { url, browse = '1', format = 'html', maxBytes = null, part = '1', stream, truncate } = options;
+    const proxyLinks = browse !== '0';
 
     if (!url) {
       return res.status(400).send(`
@@ -260,47 +1321,222 @@ app.get('/optimize', async (req, res) => {
       `);
     }
 
-    // Check cache
-    const cacheKey = `${targetUrl.href}_true_true_true_true`;
-    const cached = htmlCache.get(cacheKey);
-    
-    if (cached) {
-      res.setHeader('Content-Type', 'text/html');
-      return res.send(cached.html);
-    }
-
-    // Fetch and optimize
-    const { html } = await fetchWebsite(targetUrl.href);
-    const optimizedResult = await optimizeHTML(html, {
-      removeCSS: true,
-      removeImages: true,
-      removeVideos: true,
-      removeFonts: true
-    });
+    if (!OUTPUT_FORMATS.includes(format)) {
+      return res.status(400).send(`
+        <html>
+          <head><title>Error</title></head>
+          <body>
+            <h1>Invalid format</h1>
+            <p>format must be one of: ${OUTPUT_FORMATS.join(', ')}</p>
+          </body>
+        </html>
+      `);
+    }
+
+    if (maxBytes != null && !isValidBudget(maxBytes)) {
+      return res.status(400).send(`
+        <html>
+          <head><title>Error</title></head>
+          <body>
+            <h1>Invalid maxBytes</h1>
+            <p>maxBytes must be an integer of at least ${MIN_BUDGET_BYTES}</p>
+          </body>
+        </html>
+      `);
+    }
+
+    // Move the submitted form fields onto the target
+    if (isFormSubmission) {
+      for (const [key, value] of Object.entries(req.query)) {
+        if (FORM_CONTROL_PARAMS.includes(key)) continue;
+        [].concat(value).forEach((v) => targetUrl.searchParams.append(key, v));
+      }
+    }
 
-    // Cache
-    htmlCache.set(cacheKey, {
-      html: optimizedResult.html,
-      metrics: {}
+    // Same options, defaults and cache entries as POST /api/optimize
+    const { request } = parseOptimizeRequest({
+      url: targetUrl.href,
+      proxyLinks,
+      format,
+      maxBytes,
+      stream: stream === '1',
+      truncate: truncate === '1'
     });
 
-    res.setHeader('Content-Type', 'text/html');
-    res.send(optimizedResult.html);
+    // Streamed pages are sent as they are optimized. That response has no
+    // ETag; the entry it stores does, so the next request gets one and can
+    // revalidate from then on.
+    if (usesStreaming(request)) {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    }
+    const { entry, state } = await optimizeCached(request, `${optimizedBase()}/optimize`, undefined, res);
+    if (!state.streamed) {
+      sendPart(req, res, entry, part);
+    }
 
   } catch (error) {
+    // A streamed page failed part-way; the connection has been closed
+    if (res.headersSent) {
+      console.error('Error streaming optimized page:', error.message);
+      return;
+    }
+    if (isRefusedFetch(error)) {
+      return res.status(error.statusCode).send(`
+        <html>
+          <head><title>Error</title></head>
+          <body>
+            <h1>${FETCH_ERROR_TITLES[error.code]}</h1>
+            <p>${escapeHtml(error.message)}</p>
+          </body>
+        </html>
+      `);
+    }
+
     console.error('Error optimizing page:', error);
     res.status(500).send(`
       <html>
         <head><title>Error</title></head>
         <body>
           <h1>Failed to optimize website</h1>
-          <p>${error.message}</p>
+          <p>${escapeHtml(error.message)}</p>
         </body>
       </html>
     `);
   }
 });
 
+/**
+ * Escape text for an HTML error page (messages can quote upstream headers)
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Whether an error is the fetcher refusing a URL or response (a client error)
+ */
+function isRefusedFetch(error) {
+  return error instanceof BlockedUrlError || error instanceof FetchError;
+}
+
+/**
+ * Cache an optimized page with the upstream validators used to revalidate it
+ * @returns {Object} The stored entry
+ */
+function cacheEntry(cacheKey, entry, validators = null) {
+  const stored = {
+    ...entry,
+    etag: contentEtag(entry.html),
+    validators,
+    freshUntil: Date.now() + FRESH_MS
+  };
+  htmlCache.set(cacheKey, stored);
+  return stored;
+}
+
+/**
+ * Mark a stale entry fresh again after the upstream answered 304. Validators
+ * sent with the 304 replace the stored ones (servers may rotate them).
+ */
+function refreshEntry(cacheKey, entry, validators = null) {
+  return cacheEntry(cacheKey, entry, {
+    etag: validators?.etag || entry.validators?.etag || null,
+    lastModified: validators?.lastModified || entry.validators?.lastModified || null
+  });
+}
+
+function isFresh(entry) {
+  return Boolean(entry) && Date.now() < entry.freshUntil;
+}
+
+/**
+ * Whether an expired entry may still be served while it is refreshed
+ */
+function isServableStale(entry) {
+  return Boolean(entry) && Date.now() < entry.freshUntil + STALE_WHILE_REVALIDATE_MS;
+}
+
+/**
+ * Run `task` once per cache key; concurrent callers share its promise
+ * @param {string} cacheKey - Same key as htmlCache
+ * @param {() => Promise<*>} task - Fetch and optimize
+ * @returns {Promise<*>}
+ */
+function coalesce(cacheKey, task) {
+  if (inFlight.has(cacheKey)) {
+    return inFlight.get(cacheKey);
+  }
+  const promise = task().finally(() => inFlight.delete(cacheKey));
+  inFlight.set(cacheKey, promise);
+  return promise;
+}
+
+function refreshInBackground(refresh) {
+  refresh().catch((error) => {
+    console.error('Background refresh failed:', error.message);
+  });
+}
+
+/**
+ * Strong ETag for a response body
+ */
+function contentEtag(body) {
+  return `"${createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+/**
+ * Send a cached /optimize entry, or one of its split pages (1-based).
+ * Answers 304 when the browser's If-None-Match still matches.
+ */
+function sendPart(req, res, entry, part) {
+  const index = parseInt(part, 10) || 1;
+
+  if (index > 1) {
+    const page = entry.parts?.[index - 1];
+    if (!page) {
+      return res.status(404).send(`
+        <html>
+          <head><title>Error</title></head>
+          <body>
+            <h1>Page not found</h1>
+            <p>This page was not split into ${index} parts</p>
+          </body>
+        </html>
+      `);
+    }
+    res.setHeader('Content-Type', 'text/html');
+    return sendRevalidatable(req, res, page);
+  }
+
+  res.setHeader('Content-Type', entry.contentType || 'text/html');
+  if (entry.parts) {
+    res.setHeader('X-Compressor-Parts', String(entry.parts.length));
+  }
+  sendRevalidatable(req, res, entry.html, entry.etag);
+}
+
+function sendRevalidatable(req, res, body, etag = contentEtag(body)) {
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', 'no-cache');
+  // req.fresh compares If-None-Match with the ETag set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(body);
+}
+
+// Write pending API key usage before exiting
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.once(signal, () => {
+    apiKeys.flush();
+    process.exit(0);
+  });
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Compressor Backend running on http://localhost:${PORT}`);
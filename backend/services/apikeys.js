@@ -0,0 +1,231 @@
+/**
+ * API Key Service
+ *
+ * Issues and checks API keys:
+ * - Keys are random and shown once when issued; only their SHA-256 hash is stored
+ * - Each key has its own rate limit (requests per window) and daily quota
+ * - Usage is counted per key: total, today (UTC) and last use. Batch work
+ *   reserves one unit per URL up front and refunds what it did not use
+ * - Revoked keys are kept (with their usage) but no longer accepted
+ *
+ * Keys and usage are saved to API_KEYS_FILE, so they survive restarts. Usage
+ * is written a few seconds after it changes rather than on every request.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+// Visible prefix of every key, so leaked keys are easy to recognise
+export const KEY_PREFIX = 'cmp_';
+
+// Requests per rate-limit window and per UTC day for new keys (0 = unlimited quota)
+export const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 1000;
+export const DEFAULT_DAILY_QUOTA = process.env.API_KEY_DAILY_QUOTA != null
+  ? parseInt(process.env.API_KEY_DAILY_QUOTA, 10) || 0
+  : 10000;
+
+const DEFAULT_FILE = fileURLToPath(new URL('../.data/api-keys.json', import.meta.url));
+
+// Delay before usage changes are written to disk
+const SAVE_DELAY_MS = 5000;
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Start of the next UTC day, when daily quotas reset
+ */
+function nextDay() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+export class ApiKeyStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.file] - JSON file keys are saved to
+   */
+  constructor({ file = DEFAULT_FILE } = {}) {
+    this.file = file;
+    this.keys = new Map(); // hash -> record
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw new Error(`Unreadable API key file ${this.file}: ${error.message}`);
+    }
+    (data.keys || []).forEach((record) => this.keys.set(record.hash, record));
+  }
+
+  /**
+   * Write the keys file (write then rename, so a crash never leaves half a file)
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ keys: [...this.keys.values()] }, null, 2));
+    fs.renameSync(temp, this.file);
+  }
+
+  /**
+   * Write usage that is still waiting for its delayed save
+   */
+  flush() {
+    if (this.saveTimer) this.save();
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      try {
+        this.save();
+      } catch (error) {
+        console.error('Failed to save API key usage:', error.message);
+      }
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} [options] - Key settings
+   * @param {string} [options.name] - Label, e.g. the team or client using it
+   * @param {number} [options.rateLimit] - Requests per rate-limit window
+   * @param {number} [options.dailyQuota] - Requests per UTC day (0 = unlimited)
+   * @returns {{key: string, record: Object}} key is only available here
+   */
+  issue({ name = '', rateLimit = DEFAULT_RATE_LIMIT, dailyQuota = DEFAULT_DAILY_QUOTA } = {}) {
+    const key = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: randomUUID(),
+      name,
+      hash: hashKey(key),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      rateLimit,
+      dailyQuota,
+      usage: { total: 0, day: today(), today: 0, lastUsedAt: null }
+    };
+
+    this.keys.set(record.hash, record);
+    this.save();
+    return { key, record };
+  }
+
+  /**
+   * @param {string} key - Key as sent by a client
+   * @returns {Object|null} Its record (possibly revoked), or null when unknown
+   */
+  find(key) {
+    return this.keys.get(hashKey(key)) || null;
+  }
+
+  /**
+   * @param {string} id - Key id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return [...this.keys.values()].find((record) => record.id === id) || null;
+  }
+
+  /**
+   * Revoke a key; revoking twice keeps the first revocation time
+   * @returns {Object|null} The record, or null when unknown
+   */
+  revoke(id) {
+    const record = this.get(id);
+    if (!record) return null;
+
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    this.save();
+    return record;
+  }
+
+  list() {
+    return [...this.keys.values()];
+  }
+
+  /**
+   * Count units (one per request or fetched URL) against a key's daily quota.
+   * Nothing is counted when they don't all fit.
+   * @param {Object} record - Key record from find()
+   * @param {number} [units] - Units to count
+   * @returns {{allowed: boolean, limit: number, remaining: number|null, resetAt: Date, day: string}}
+   *   remaining is null for unlimited keys; day is the UTC day counted against
+   */
+  consume(record, units = 1) {
+    const { usage, dailyQuota } = record;
+    if (usage.day !== today()) {
+      usage.day = today();
+      usage.today = 0;
+    }
+
+    const allowed = !dailyQuota || usage.today + units <= dailyQuota;
+    if (allowed) {
+      usage.total += units;
+      usage.today += units;
+      usage.lastUsedAt = new Date().toISOString();
+      this.scheduleSave();
+    }
+
+    return {
+      allowed,
+      limit: dailyQuota,
+      remaining: dailyQuota ? Math.max(dailyQuota - usage.today, 0) : null,
+      resetAt: nextDay(),
+      day: usage.day
+    };
+  }
+
+  /**
+   * Give back units reserved by consume() but not used (e.g. URLs of a
+   * cancelled job). Units reserved on an earlier UTC day only leave the total.
+   * @param {Object} record - Key record
+   * @param {number} units - Units to give back
+   * @param {string} day - UTC day (YYYY-MM-DD) they were reserved on
+   */
+  refund(record, units, day) {
+    if (units <= 0) return;
+
+    const { usage } = record;
+    usage.total = Math.max(usage.total - units, 0);
+    if (usage.day === day) usage.today = Math.max(usage.today - units, 0);
+    this.scheduleSave();
+  }
+
+  /**
+   * Public view of a key (never includes the hash)
+   * @param {Object} record - Key record
+   * @returns {Object}
+   */
+  describe(record) {
+    const { hash, usage, ...rest } = record;
+    const current = usage.day === today();
+    return {
+      ...rest,
+      usage: {
+        total: usage.total,
+        today: current ? usage.today : 0,
+        lastUsedAt: usage.lastUsedAt
+      }
+    };
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * Article Extraction Service
+ *
+ * Readability-style main content detection:
+ * - Drops navigation, footers, sidebars, cookie banners and similar chrome
+ * - Scores blocks by text density and link density
+ * - Keeps the best candidate plus related siblings
+ * - Pulls title, byline and published date from metadata
+ */
+
+const UNLIKELY_PATTERN = /banner|breadcrumb|combx|comment|community|consent|cookie|disqus|extra|footer|gdpr|header|menu|modal|nav|newsletter|pager|pagination|popup|promo|related|remark|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|tags|toolbar|widget|\bads?\b|advert/i;
+const LIKELY_PATTERN = /and|article|body|column|content|entry|hentry|main|page|post|story|text/i;
+const POSITIVE_PATTERN = /article|body|content|entry|hentry|main|page|post|story|text|blog/i;
+const NEGATIVE_PATTERN = /hidden|banner|combx|comment|contact|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|cookie|consent/i;
+
+const CHROME_SELECTORS = [
+  'nav', 'footer', 'aside', 'header',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+  '[role="complementary"]', '[role="dialog"]', '[aria-modal="true"]'
+].join(', ');
+
+const SCORABLE_SELECTORS = 'p, pre, td, blockquote, li';
+
+function textOf($el) {
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+function matchString($el) {
+  return `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+}
+
+/**
+ * Score an element by its class and id
+ */
+function classWeight($el) {
+  const match = matchString($el);
+  let weight = 0;
+  if (NEGATIVE_PATTERN.test(match)) weight -= 25;
+  if (POSITIVE_PATTERN.test(match)) weight += 25;
+  return weight;
+}
+
+/**
+ * Base score for a candidate block by tag name
+ */
+function tagWeight(tagName) {
+  switch (tagName) {
+    case 'article':
+    case 'main':
+      return 10;
+    case 'div':
+    case 'section':
+      return 5;
+    case 'pre':
+    case 'td':
+    case 'blockquote':
+      return 3;
+    case 'form':
+    case 'ol':
+    case 'ul':
+    case 'dl':
+    case 'li':
+      return -3;
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+    case 'th':
+      return -5;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Ratio of link text to all text inside an element
+ */
+function linkDensity($, $el) {
+  const textLength = textOf($el).length;
+  if (!textLength) return 0;
+
+  let linkLength = 0;
+  $el.find('a').each((i, a) => {
+    linkLength += textOf($(a)).length;
+  });
+  return linkLength / textLength;
+}
+
+function firstContent($, selectors) {
+  for (const selector of selectors) {
+    const $el = $(selector).first();
+    if (!$el.length) continue;
+    const value = ($el.attr('content') || $el.attr('datetime') || textOf($el)).trim();
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * Read title, byline and published date from the document
+ */
+function extractMetadata($) {
+  const h1s = $('body h1');
+  const title = firstContent($, [
+    'meta[property="og:title"]',
+    'meta[name="twitter:title"]'
+  ]) || (h1s.length === 1 ? textOf(h1s.first()) : null) || textOf($('title').first()) || null;
+
+  const byline = firstContent($, [
+    'meta[name="author"]',
+    'meta[property="article:author"]',
+    '[itemprop="author"] [itemprop="name"]',
+    '[itemprop="author"]',
+    '[rel="author"]',
+    '.byline',
+    '.author'
+  ]);
+
+  const publishedDate = firstContent($, [
+    'meta[property="article:published_time"]',
+    'meta[itemprop="datePublished"]',
+    'meta[name="date"]',
+    '[itemprop="datePublished"]',
+    'time[datetime]'
+  ]);
+
+  return { title, byline, publishedDate };
+}
+
+/**
+ * Remove navigation, footers, sidebars, cookie banners and similar chrome
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio document (modified in place)
+ * @returns {number} Number of elements removed
+ */
+export function removeBoilerplate($) {
+  let removed = 0;
+
+  // Strip page chrome unless it is the article itself
+  $(CHROME_SELECTORS).each((i, el) => {
+    const $el = $(el);
+    if ($el.closest('article, main, [role="main"]').length && el.tagName !== 'aside') return;
+    $el.remove();
+    removed++;
+  });
+
+  $('body').find('*').each((i, el) => {
+    if (['body', 'article', 'main', 'a'].includes(el.tagName)) return;
+    const $el = $(el);
+    const match = matchString($el);
+    if (UNLIKELY_PATTERN.test(match) && !LIKELY_PATTERN.test(match)) {
+      $el.remove();
+      removed++;
+    }
+  });
+
+  return removed;
+}
+
+/**
+ * Extract the main article content in place
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio document (modified in place)
+ * @returns {{title: string|null, byline: string|null, publishedDate: string|null, textKept: number, textDiscarded: number, keptPercent: number, found: boolean}}
+ */
+export function extractArticle($) {
+  const metadata = extractMetadata($);
+
+  $('script, style, noscript, template').remove();
+  const $body = $('body');
+  const totalText = textOf($body).length;
+
+  removeBoilerplate($);
+
+  // Score blocks: each paragraph gives points to its parent and grandparent
+  const scores = new Map();
+  const initialise = (el) => {
+    if (!scores.has(el)) {
+      const $el = $(el);
+      scores.set(el, tagWeight(el.tagName) + classWeight($el));
+    }
+  };
+
+  $body.find(SCORABLE_SELECTORS).each((i, el) => {
+    const text = textOf($(el));
+    if (text.length < 25) return;
+
+    let score = 1;
+    score += text.split(/[,，、]/).length - 1;
+    score += Math.min(Math.floor(text.length / 100), 3);
+
+    const parent = el.parent;
+    const grandparent = parent?.parent;
+    if (parent && parent.type === 'tag') {
+      initialise(parent);
+      scores.set(parent, scores.get(parent) + score);
+    }
+    if (grandparent && grandparent.type === 'tag') {
+      initialise(grandparent);
+      scores.set(grandparent, scores.get(grandparent) + score / 2);
+    }
+  });
+
+  // Scale by link density and pick the best block
+  let top = null;
+  let topScore = 0;
+  for (const [el, score] of scores) {
+    const finalScore = score * (1 - linkDensity($, $(el)));
+    scores.set(el, finalScore);
+    if (finalScore > topScore) {
+      top = el;
+      topScore = finalScore;
+    }
+  }
+
+  const summarize = (textKept, found) => ({
+    ...metadata,
+    textKept,
+    textDiscarded: Math.max(totalText - textKept, 0),
+    keptPercent: totalText > 0 ? parseFloat(((textKept / totalText) * 100).toFixed(2)) : 0,
+    found
+  });
+
+  // No clear winner: keep the de-cluttered body as is
+  if (!top || top.tagName === 'body' || top.tagName === 'html') {
+    return summarize(textOf($body).length, false);
+  }
+
+  // Siblings that score well or read like prose belong to the article too
+  const threshold = Math.max(10, topScore * 0.2);
+  const $article = $('<article></article>');
+  $(top).parent().children().each((i, sibling) => {
+    const $sibling = $(sibling);
+    let keep = sibling === top;
+
+    if (!keep && scores.has(sibling)) {
+      keep = scores.get(sibling) >= threshold;
+    }
+    if (!keep && sibling.tagName === 'p') {
+      const text = textOf($sibling);
+      const density = linkDensity($, $sibling);
+      keep = (text.length > 80 && density < 0.25) ||
+        (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+    }
+
+    if (keep) {
+      $article.append($sibling.clone());
+    }
+  });
+
+  const textKept = textOf($article).length;
+
+  if (metadata.title && !$article.find('h1').length) {
+    $article.prepend($('<h1></h1>').text(metadata.title));
+  }
+
+  $body.empty().append($article);
+
+  return summarize(textKept, true);
+}
@@ -0,0 +1,287 @@
+/**
+ * Static Audit Service
+ *
+ * Audits fetched HTML offline, without Google's PageSpeed API:
+ * - Render-blocking stylesheets and scripts in <head>
+ * - Images without width/height (layout shifts) or alt text
+ * - Oversized inline scripts
+ * - Font preloads: too many, or missing crossorigin (fetched twice)
+ * - DOM size and depth
+ * - Document sent without compression
+ *
+ * Each audit scores 0 to 1; the performance score is their weighted average.
+ * Results have the same shape as runPageSpeed (see pagespeed.js), with
+ * strategy "static", and failing audits listed as opportunities.
+ */
+
+import zlib from 'zlib';
+import { Parser } from 'htmlparser2';
+import { NETWORK_PROFILES, DEFAULT_NETWORK_PROFILE } from './metrics.js';
+
+// Inline scripts larger than this are flagged (bytes)
+export const INLINE_SCRIPT_LIMIT = 10 * 1024;
+
+// Font preloads beyond this compete with the page's critical requests
+export const MAX_FONT_PRELOADS = 2;
+
+// Documents smaller than this gain nothing from compression (one TCP segment)
+const MIN_COMPRESSIBLE_BYTES = 1400;
+
+// Items listed per opportunity
+const MAX_ITEMS = 20;
+
+// Script types the browser executes (anything else is a data block)
+const SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module'];
+
+// Weight of each audit in the performance score
+const AUDIT_WEIGHTS = {
+  'render-blocking-resources': 25,
+  'uses-text-compression': 15,
+  'dom-size': 15,
+  'unsized-images': 15,
+  'large-inline-scripts': 10,
+  'font-preloads': 10,
+  'image-alt': 10
+};
+
+/**
+ * 1 with no issues, falling linearly to 0 at failAt issues
+ */
+function scoreCount(count, failAt) {
+  return Math.max(0, 1 - count / failAt);
+}
+
+/**
+ * 1 up to good, falling linearly to 0 at poor
+ */
+function scoreRange(value, good, poor) {
+  if (value <= good) return 1;
+  return Math.max(0, 1 - (value - good) / (poor - good));
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function kilobytes(bytes) {
+  return `${Math.round(bytes / 102.4) / 10} KiB`;
+}
+
+/**
+ * Walk the document once and collect what the audits need
+ */
+function scanDocument(html) {
+  const scan = {
+    elements: 0,
+    maxDepth: 0,
+    blocking: [],
+    unsizedImages: [],
+    imagesWithoutAlt: [],
+    inlineScripts: [],
+    fontPreloads: []
+  };
+  let depth = 0;
+  let inBody = false;
+  let inlineScript = null;
+
+  const parser = new Parser({
+    onopentag(name, attribs) {
+      scan.elements++;
+      depth++;
+      scan.maxDepth = Math.max(scan.maxDepth, depth);
+      if (name === 'body') inBody = true;
+
+      if (name === 'link') {
+        const rels = (attribs.rel || '').toLowerCase().split(/\s+/);
+        const media = (attribs.media || '').trim().toLowerCase();
+        if (!inBody && rels.includes('stylesheet') && attribs.href && media !== 'print' && !('disabled' in attribs)) {
+          scan.blocking.push({ type: 'stylesheet', url: attribs.href });
+        }
+        if (rels.includes('preload') && (attribs.as || '').toLowerCase() === 'font') {
+          scan.fontPreloads.push({ url: attribs.href || '', crossorigin: 'crossorigin' in attribs });
+        }
+      } else if (name === 'script') {
+        const type = (attribs.type || '').trim().toLowerCase();
+        if (!SCRIPT_TYPES.includes(type)) return;
+        if (attribs.src) {
+          const deferred = 'async' in attribs || 'defer' in attribs || type === 'module';
+          if (!inBody && !deferred) scan.blocking.push({ type: 'script', url: attribs.src });
+        } else {
+          inlineScript = { bytes: 0 };
+        }
+      } else if (name === 'img') {
+        const label = attribs.src || attribs['data-src'] || '(no src)';
+        if (!attribs.width || !attribs.height) scan.unsizedImages.push({ url: label });
+        if (!('alt' in attribs)) scan.imagesWithoutAlt.push({ url: label });
+      }
+    },
+    ontext(text) {
+      if (inlineScript) inlineScript.bytes += Buffer.byteLength(text, 'utf8');
+    },
+    onclosetag(name) {
+      depth = Math.max(depth - 1, 0);
+      if (name === 'script' && inlineScript) {
+        scan.inlineScripts.push(inlineScript);
+        inlineScript = null;
+      }
+    }
+  }, { decodeEntities: false });
+
+  parser.write(html);
+  parser.end();
+  return scan;
+}
+
+/**
+ * Run every audit over a scanned document
+ * @returns {Object[]} Audit results with id, title, description, score,
+ *   displayValue, savingsMs, savingsBytes and items
+ */
+function runAudits(scan, page) {
+  const profile = NETWORK_PROFILES[DEFAULT_NETWORK_PROFILE];
+  const audits = [];
+
+  // Blocking requests are fetched in parallel batches before first paint
+  const blockingBatches = Math.ceil(scan.blocking.length / profile.connections);
+  audits.push({
+    id: 'render-blocking-resources',
+    title: 'Eliminate render-blocking resources',
+    description: 'Stylesheets and synchronous scripts in <head> delay the first paint. Inline critical CSS, and load scripts with async or defer.',
+    score: scoreCount(scan.blocking.length, 5),
+    displayValue: plural(scan.blocking.length, 'resource'),
+    savingsMs: blockingBatches * profile.rttMs,
+    savingsBytes: null,
+    items: scan.blocking
+  });
+
+  // Transfer size saved by gzip, estimated by compressing the document here
+  const compressible = !page.contentEncoding && page.bytes >= MIN_COMPRESSIBLE_BYTES;
+  const compressionSavings = compressible
+    ? page.bytes - zlib.gzipSync(page.html).length
+    : 0;
+  audits.push({
+    id: 'uses-text-compression',
+    title: 'Enable text compression',
+    description: 'The document was sent without Content-Encoding. Serve text with gzip or Brotli.',
+    score: compressible ? 0 : 1,
+    displayValue: compressible ? `Potential savings of ${kilobytes(compressionSavings)}` : page.contentEncoding || 'Not needed',
+    savingsMs: null,
+    savingsBytes: compressionSavings,
+    items: []
+  });
+
+  audits.push({
+    id: 'dom-size',
+    title: 'Avoid an excessive DOM size',
+    description: 'Large and deeply nested documents cost memory, longer style calculations and costly layout reflows.',
+    score: Math.min(scoreRange(scan.elements, 800, 1400), scoreRange(scan.maxDepth, 32, 60)),
+    displayValue: `${plural(scan.elements, 'element')}, depth ${scan.maxDepth}`,
+    savingsMs: null,
+    savingsBytes: null,
+    items: []
+  });
+
+  audits.push({
+    id: 'unsized-images',
+    title: 'Image elements do not have explicit width and height',
+    description: 'Set width and height on images so the browser reserves their space and the layout does not shift as they load.',
+    score: scoreCount(scan.unsizedImages.length, 10),
+    displayValue: plural(scan.unsizedImages.length, 'image'),
+    savingsMs: null,
+    savingsBytes: null,
+    items: scan.unsizedImages
+  });
+
+  const oversized = scan.inlineScripts.filter((script) => script.bytes > INLINE_SCRIPT_LIMIT);
+  const oversizedBytes = oversized.reduce((sum, script) => sum + script.bytes, 0);
+  audits.push({
+    id: 'large-inline-scripts',
+    title: 'Reduce oversized inline scripts',
+    description: `Inline scripts over ${kilobytes(INLINE_SCRIPT_LIMIT)} are parsed on every page view and cannot be cached. Move them to external files.`,
+    score: scoreCount(oversized.length, 3),
+    displayValue: oversized.length ? `${plural(oversized.length, 'script')}, ${kilobytes(oversizedBytes)}` : 'None',
+    savingsMs: null,
+    savingsBytes: oversizedBytes,
+    items: oversized.map((script) => ({ bytes: script.bytes }))
+  });
+
+  const excessPreloads = Math.max(scan.fontPreloads.length - MAX_FONT_PRELOADS, 0);
+  const withoutCrossorigin = scan.fontPreloads.filter((preload) => !preload.crossorigin);
+  audits.push({
+    id: 'font-preloads',
+    title: 'Preload only critical fonts',
+    description: `More than ${MAX_FONT_PRELOADS} font preloads compete with critical requests, and font preloads without crossorigin are downloaded twice.`,
+    score: scoreCount(excessPreloads + withoutCrossorigin.length, 3),
+    displayValue: `${plural(scan.fontPreloads.length, 'font preload')}, ${withoutCrossorigin.length} without crossorigin`,
+    savingsMs: null,
+    savingsBytes: null,
+    items: scan.fontPreloads
+  });
+
+  audits.push({
+    id: 'image-alt',
+    title: 'Image elements do not have [alt] attributes',
+    description: 'Give every image an alt attribute (empty for decorative images) so screen readers can describe it.',
+    score: scoreCount(scan.imagesWithoutAlt.length, 10),
+    displayValue: plural(scan.imagesWithoutAlt.length, 'image'),
+    savingsMs: null,
+    savingsBytes: null,
+    items: scan.imagesWithoutAlt
+  });
+
+  return audits;
+}
+
+/**
+ * Audit a fetched page
+ * @param {string} html - Page markup
+ * @param {Object} page - How the page was fetched
+ * @param {string} page.url - Page URL
+ * @param {string|null} [page.contentEncoding] - Content-Encoding it was sent with
+ * @returns {Object} { url, strategy: 'static', performanceScore, metrics,
+ *   display, opportunities }; opportunities are the failing audits, largest
+ *   score impact first
+ */
+export function auditPage(html, { url, contentEncoding = null }) {
+  const scan = scanDocument(html);
+  const bytes = Buffer.byteLength(html, 'utf8');
+  const audits = runAudits(scan, { html, bytes, contentEncoding });
+
+  const totalWeight = Object.values(AUDIT_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+  const weightedScore = audits.reduce((sum, audit) => sum + AUDIT_WEIGHTS[audit.id] * audit.score, 0);
+  const impact = (audit) => AUDIT_WEIGHTS[audit.id] * (1 - audit.score);
+
+  const inlineScriptBytes = scan.inlineScripts.reduce((sum, script) => sum + script.bytes, 0);
+
+  return {
+    url,
+    strategy: 'static',
+    performanceScore: Math.round((weightedScore / totalWeight) * 100),
+    metrics: {
+      htmlBytes: bytes,
+      domElements: scan.elements,
+      domDepth: scan.maxDepth,
+      renderBlocking: scan.blocking.length,
+      unsizedImages: scan.unsizedImages.length,
+      imagesWithoutAlt: scan.imagesWithoutAlt.length,
+      inlineScriptBytes,
+      fontPreloads: scan.fontPreloads.length,
+      compressed: Boolean(contentEncoding)
+    },
+    display: {
+      htmlBytes: kilobytes(bytes),
+      domElements: plural(scan.elements, 'element'),
+      domDepth: String(scan.maxDepth),
+      renderBlocking: plural(scan.blocking.length, 'resource'),
+      contentEncoding: contentEncoding || 'none'
+    },
+    opportunities: audits
+      .filter((audit) => audit.score < 1)
+      .sort((a, b) => impact(b) - impact(a))
+      .map((audit) => ({
+        ...audit,
+        score: Math.round(audit.score * 100) / 100,
+        items: audit.items.slice(0, MAX_ITEMS)
+      }))
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * Byte Budget Service
+ *
+ * Shrinks an optimized document until it fits a byte budget.
+ * Transforms are applied in escalating order and stop as soon as it fits:
+ * 1. minify - collapse whitespace
+ * 2. dropSvg - remove inline SVG
+ * 3. dropComments - remove HTML comments
+ * 4. collapseAttributes - keep only attributes needed for content and links
+ * 5. removeBoilerplate - drop navigation, footers, sidebars and banners
+ * 6. split - split the body into several pages that each fit
+ *
+ * Budgets must be at least MIN_BUDGET_BYTES. Every split page repeats the
+ * document shell (<head> and body wrapper), so the body is only split when
+ * the shell leaves room for content, and into at most MAX_PARTS pages; the
+ * last page holds the rest and the result reports fits: false.
+ */
+
+import { removeBoilerplate } from './article.js';
+
+// Smallest accepted budget (bytes)
+export const MIN_BUDGET_BYTES = 1024;
+
+// Most pages a document is split into
+export const MAX_PARTS = 20;
+
+// Elements whose whitespace is significant
+const PRESERVE_WHITESPACE = new Set(['pre', 'textarea', 'script', 'style', 'code']);
+
+// Attributes kept by collapseAttributes
+const ESSENTIAL_ATTRIBUTES = new Set([
+  'href', 'src', 'alt', 'title', 'id', 'name', 'value', 'type', 'action',
+  'method', 'for', 'colspan', 'rowspan', 'lang', 'dir', 'charset', 'content',
+  'http-equiv', 'rel', 'checked', 'selected', 'disabled', 'datetime', 'start'
+]);
+
+function byteSize($) {
+  return Buffer.byteLength($.html(), 'utf8');
+}
+
+function walk(node, visit, parentPreserves = false) {
+  (node.children || []).slice().forEach((child) => {
+    const preserves = parentPreserves || (child.type === 'tag' && PRESERVE_WHITESPACE.has(child.name));
+    visit(child, parentPreserves);
+    walk(child, visit, preserves);
+  });
+}
+
+/**
+ * Collapse runs of whitespace in text nodes and inline styles
+ */
+function minify($) {
+  walk($.root().get(0), (node, preserve) => {
+    if (preserve || node.type !== 'text') return;
+
+    if (/^\s*$/.test(node.data) && node.prev?.type !== 'text' && node.next?.type !== 'text') {
+      const parent = node.parent;
+      // Whitespace between block-level siblings renders as nothing
+      if (!parent || ['html', 'head', 'body', 'ul', 'ol', 'table', 'thead', 'tbody', 'tr', 'select'].includes(parent.name)) {
+        $(node).remove();
+        return;
+      }
+    }
+    node.data = node.data.replace(/\s+/g, ' ');
+  });
+
+  $('style').each((i, el) => {
+    const css = ($(el).html() || '')
+      .replace(/\s+/g, ' ')
+      .replace(/\s*([{}:;,])\s*/g, '$1')
+      .replace(/;}/g, '}')
+      .trim();
+    $(el).html(css);
+  });
+
+  $('[style]').each((i, el) => {
+    $(el).attr('style', ($(el).attr('style') || '').replace(/\s+/g, ' ').trim());
+  });
+}
+
+function dropSvg($) {
+  $('svg').remove();
+}
+
+function dropComments($) {
+  walk($.root().get(0), (node) => {
+    if (node.type === 'comment') {
+      $(node).remove();
+    }
+  });
+}
+
+function collapseAttributes($) {
+  $('*').each((i, el) => {
+    Object.keys(el.attribs || {}).forEach((name) => {
+      if (!ESSENTIAL_ATTRIBUTES.has(name)) {
+        $(el).removeAttr(name);
+      }
+    });
+  });
+}
+
+/**
+ * Size of the document without its body content
+ */
+function shellSize($) {
+  const $body = $('body');
+  const contents = $body.contents();
+  $body.empty();
+  const size = byteSize($);
+  $body.append(contents);
+  return size;
+}
+
+/**
+ * Split body content into pages that each fit the budget (at most MAX_PARTS;
+ * the last page takes whatever is left)
+ * @returns {string[]} HTML for each page; the document keeps the first one
+ */
+function split($, maxBytes) {
+  const $body = $('body');
+  const units = [];
+
+  // Oversized containers are broken into their children
+  const collect = (nodes, limit) => {
+    nodes.forEach((node) => {
+      const html = $.html(node);
+      const size = Buffer.byteLength(html, 'utf8');
+      const children = node.type === 'tag' ? (node.children || []) : [];
+      if (size > limit && children.some((child) => child.type === 'tag')) {
+        collect(children, limit);
+      } else {
+        units.push({ html, size });
+      }
+    });
+  };
+
+  const contents = $body.contents().toArray();
+  $body.empty();
+  const limit = maxBytes - byteSize($);
+  collect(contents, limit);
+
+  const pages = [];
+  let current = '';
+  let currentSize = 0;
+  units.forEach((unit) => {
+    if (current && currentSize + unit.size > limit && pages.length < MAX_PARTS - 1) {
+      pages.push(current);
+      current = '';
+      currentSize = 0;
+    }
+    current += unit.html;
+    currentSize += unit.size;
+  });
+  if (current || !pages.length) {
+    pages.push(current);
+  }
+
+  const documents = pages.map((content) => {
+    $body.html(content);
+    return $.html();
+  });
+
+  // Leave the document holding the first page
+  $body.html(pages[0]);
+  return documents;
+}
+
+const STEPS = [
+  ['minify', minify],
+  ['dropSvg', dropSvg],
+  ['dropComments', dropComments],
+  ['collapseAttributes', collapseAttributes],
+  ['removeBoilerplate', removeBoilerplate]
+];
+
+/**
+ * Apply escalating transforms until the document fits maxBytes
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio document (modified in place)
+ * @param {number} maxBytes - Byte budget for the HTML output
+ * @returns {{maxBytes: number, initialSize: number, finalSize: number, fits: boolean, steps: Array<{step: string, size: number}>, parts: string[]|null}}
+ */
+export function applyBudget($, maxBytes) {
+  const initialSize = byteSize($);
+  const steps = [];
+  let size = initialSize;
+
+  for (const [step, transform] of STEPS) {
+    if (size <= maxBytes) break;
+    transform($);
+    size = byteSize($);
+    steps.push({ step, size });
+  }
+
+  // Splitting only helps when the shell leaves room for body content
+  let parts = null;
+  if (size > maxBytes && shellSize($) < maxBytes) {
+    parts = split($, maxBytes);
+    size = Math.max(...parts.map((part) => Buffer.byteLength(part, 'utf8')));
+    steps.push({ step: 'split', size, parts: parts.length });
+  }
+
+  return {
+    maxBytes,
+    initialSize,
+    finalSize: size,
+    fits: size <= maxBytes,
+    steps,
+    parts
+  };
+}
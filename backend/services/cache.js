@@ -0,0 +1,382 @@
+/**
+ * Cache Service
+ *
+ * Size-bounded LRU caches with per-entry TTLs:
+ * - memory: in-process, lost on restart
+ * - fs: one file per entry under CACHE_DIR; entries, TTLs and recency
+ *   survive restarts
+ *
+ * The driver is picked with CACHE_DRIVER (memory or fs, default memory) and
+ * each cache is bounded by CACHE_MAX_BYTES. Values must be JSON-serializable.
+ *
+ * get() is async so the fs driver reads entries without blocking the event
+ * loop; set() returns at once and the fs driver writes in the background.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+
+export const CACHE_DRIVERS = ['memory', 'fs'];
+
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024;
+const DEFAULT_DIR = fileURLToPath(new URL('../.cache', import.meta.url));
+
+// How often expired entries are swept
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+// An fs entry starts with a one-line JSON header ({ key, expiresAt }) that must fit here
+const HEADER_READ_BYTES = 16 * 1024;
+
+/**
+ * In-memory LRU cache. Map order is recency order: oldest first.
+ */
+export class MemoryCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.name - Cache name (used in stats and as the fs subdirectory)
+   * @param {number} [options.ttl] - Default TTL in seconds (0 = no expiry)
+   * @param {number} [options.maxBytes] - Size bound; least recently used entries are evicted
+   */
+  constructor({ name, ttl = 0, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.name = name;
+    this.driver = 'memory';
+    this.ttl = ttl;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.counters = { hits: 0, misses: 0, sets: 0, evictions: 0, expired: 0 };
+
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} The value, or undefined on a miss
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || this.isExpired(entry)) {
+      if (entry) {
+        this.del(key);
+        this.counters.expired++;
+      }
+      this.counters.misses++;
+      return undefined;
+    }
+
+    const value = await this.load(key, entry);
+    // The entry may have been replaced or deleted while it was read
+    const current = this.entries.get(key) === entry;
+    if (value === undefined) {
+      if (current) this.del(key);
+      this.counters.misses++;
+      return undefined;
+    }
+
+    // Most recently used goes to the end
+    if (current) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.touch(key, entry);
+    }
+    this.counters.hits++;
+    return value;
+  }
+
+  /**
+   * Whether a live entry exists, without touching its recency or the hit counters
+   * @param {string} key - Cache key
+   * @returns {boolean}
+   */
+  has(key) {
+    const entry = this.entries.get(key);
+    return Boolean(entry) && !this.isExpired(entry);
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {number} [ttl] - TTL in seconds, defaults to the cache TTL
+   * @returns {boolean} false when the value alone exceeds maxBytes
+   */
+  set(key, value, ttl = this.ttl) {
+    this.del(key);
+
+    const entry = { expiresAt: ttl ? Date.now() + ttl * 1000 : null, size: 0 };
+    const serialized = JSON.stringify(value);
+    if (Buffer.byteLength(serialized) > this.maxBytes) return false;
+
+    entry.size = this.store(key, entry, value, serialized);
+    this.entries.set(key, entry);
+    this.bytes += entry.size;
+    this.counters.sets++;
+
+    this.evict();
+    return true;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {number} Number of entries removed (0 or 1)
+   */
+  del(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return 0;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    this.remove(key, entry);
+    return 1;
+  }
+
+  /**
+   * @returns {string[]} Keys of live entries, least recently used first
+   */
+  keys() {
+    return [...this.entries.keys()].filter((key) => !this.isExpired(this.entries.get(key)));
+  }
+
+  /**
+   * Remove every entry whose key matches
+   * @param {(key: string) => boolean} predicate
+   * @returns {number} Number of entries removed
+   */
+  purge(predicate) {
+    return [...this.entries.keys()]
+      .filter((key) => predicate(key))
+      .reduce((removed, key) => removed + this.del(key), 0);
+  }
+
+  /**
+   * Remove every entry whose value matches, for caches not keyed by what is
+   * purged. Reads each live entry (one file read per entry with the fs driver).
+   * @param {(value: *, key: string) => boolean} predicate
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purgeValues(predicate) {
+    let removed = 0;
+    for (const key of this.keys()) {
+      const entry = this.entries.get(key);
+      const value = await this.load(key, entry);
+      // Skip entries replaced or deleted while they were read
+      if (value === undefined || this.entries.get(key) !== entry) continue;
+      if (predicate(value, key)) removed += this.del(key);
+    }
+    return removed;
+  }
+
+  /**
+   * Drop expired entries
+   * @returns {number} Number of entries removed
+   */
+  prune() {
+    const removed = this.purge((key) => this.isExpired(this.entries.get(key)));
+    this.counters.expired += removed;
+    return removed;
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      driver: this.driver,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      ttl: this.ttl,
+      ...this.counters
+    };
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt != null && Date.now() >= entry.expiresAt;
+  }
+
+  evict() {
+    while (this.bytes > this.maxBytes && this.entries.size) {
+      this.del(this.entries.keys().next().value);
+      this.counters.evictions++;
+    }
+  }
+
+  // Storage hooks, overridden by disk-backed caches
+
+  load(key, entry) {
+    return entry.value;
+  }
+
+  store(key, entry, value, serialized) {
+    entry.value = value;
+    return Buffer.byteLength(serialized);
+  }
+
+  remove() {}
+
+  touch() {}
+}
+
+/**
+ * LRU cache stored as files, one per entry. The index (keys, sizes, expiry)
+ * is rebuilt from the files on startup; file mtimes record recency.
+ *
+ * Files are read and written with fs.promises. A value is kept in memory
+ * until its file is written, and the writes and deletes of one key run in
+ * order. A failed write is logged and the entry dropped.
+ */
+export class FileCache extends MemoryCache {
+  /**
+   * @param {Object} options - MemoryCache options, plus:
+   * @param {string} [options.dir] - Base directory (entries go in dir/name)
+   */
+  constructor({ dir = DEFAULT_DIR, ...options } = {}) {
+    super(options);
+    this.driver = 'fs';
+    this.dir = path.join(dir, this.name);
+    this.pending = new Map(); // key -> value not written yet
+    this.operations = new Map(); // key -> last queued file operation
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.loadIndex();
+  }
+
+  /**
+   * Run a file operation after the ones already queued for the key
+   * @returns {Promise} Settles when it has run; never rejects
+   */
+  enqueue(key, operation) {
+    const previous = this.operations.get(key) || Promise.resolve();
+    const next = previous.then(operation).catch((error) => {
+      console.error(`Cache ${this.name}: file operation failed:`, error.message);
+    });
+    this.operations.set(key, next);
+    next.then(() => {
+      if (this.operations.get(key) === next) this.operations.delete(key);
+    });
+    return next;
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  /**
+   * Read each entry's header; expired and unreadable files are deleted
+   */
+  loadIndex() {
+    const found = [];
+
+    for (const name of fs.readdirSync(this.dir)) {
+      const file = path.join(this.dir, name);
+      if (!name.endsWith('.json')) {
+        // Leftover temp file from an interrupted write
+        fs.rmSync(file, { force: true });
+        continue;
+      }
+
+      try {
+        const header = readHeader(file);
+        const { size, mtimeMs } = fs.statSync(file);
+        const entry = { expiresAt: header.expiresAt, size };
+        if (this.isExpired(entry)) {
+          fs.rmSync(file, { force: true });
+          continue;
+        }
+        found.push({ key: header.key, entry, mtimeMs });
+      } catch {
+        fs.rmSync(file, { force: true });
+      }
+    }
+
+    found
+      .sort((a, b) => a.mtimeMs - b.mtimeMs)
+      .forEach(({ key, entry }) => {
+        this.entries.set(key, entry);
+        this.bytes += entry.size;
+      });
+    this.evict();
+  }
+
+  async load(key) {
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    // Let a write or delete already under way finish first
+    await this.operations.get(key);
+    if (this.pending.has(key)) return this.pending.get(key);
+    try {
+      const data = await fs.promises.readFile(this.fileFor(key), 'utf8');
+      return JSON.parse(data.slice(data.indexOf('\n') + 1));
+    } catch {
+      return undefined;
+    }
+  }
+
+  store(key, entry, value, serialized) {
+    const file = this.fileFor(key);
+    const data = `${JSON.stringify({ key, expiresAt: entry.expiresAt })}\n${serialized}`;
+    this.pending.set(key, value);
+
+    // Write then rename, so a crash never leaves a half-written entry
+    const temp = `${file}.${process.pid}.tmp`;
+    this.enqueue(key, async () => {
+      try {
+        await fs.promises.writeFile(temp, data);
+        await fs.promises.rename(temp, file);
+      } catch (error) {
+        await fs.promises.rm(temp, { force: true });
+        if (this.entries.get(key) === entry) this.del(key);
+        throw error;
+      } finally {
+        if (this.pending.get(key) === value) this.pending.delete(key);
+      }
+    });
+    return Buffer.byteLength(data);
+  }
+
+  remove(key) {
+    this.pending.delete(key);
+    const file = this.fileFor(key);
+    this.enqueue(key, () => fs.promises.rm(file, { force: true }));
+  }
+
+  touch(key) {
+    const now = new Date();
+    fs.utimes(this.fileFor(key), now, now, () => {});
+  }
+}
+
+function readHeader(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_READ_BYTES);
+    const length = fs.readSync(fd, buffer, 0, HEADER_READ_BYTES, 0);
+    const newline = buffer.subarray(0, length).indexOf('\n');
+    if (newline === -1) throw new Error('Missing cache entry header');
+    return JSON.parse(buffer.subarray(0, newline).toString('utf8'));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Create a cache with the configured driver
+ * @param {string} name - Cache name
+ * @param {Object} [options] - { ttl, maxBytes, dir }
+ * @returns {MemoryCache|FileCache}
+ */
+export function createCache(name, options = {}) {
+  const driver = process.env.CACHE_DRIVER || 'memory';
+  const settings = {
+    name,
+    maxBytes: parseInt(process.env.CACHE_MAX_BYTES, 10) || DEFAULT_MAX_BYTES,
+    ...options
+  };
+
+  if (driver === 'fs') {
+    return new FileCache({ dir: process.env.CACHE_DIR || DEFAULT_DIR, ...settings });
+  }
+  if (driver === 'memory') {
+    return new MemoryCache(settings);
+  }
+  throw new Error(`Unknown CACHE_DRIVER "${driver}" (expected one of: ${CACHE_DRIVERS.join(', ')})`);
+}
@@ -0,0 +1,116 @@
+/**
+ * Charset Service
+ *
+ * Works out how a page is encoded and decodes it to a JS string:
+ * - Byte order mark (UTF-8, UTF-16LE/BE) wins
+ * - Then the charset parameter of the Content-Type header
+ * - Then <meta charset> / <meta http-equiv="Content-Type"> in the first 1024 bytes
+ * - UTF-8 otherwise
+ *
+ * Decoding uses TextDecoder, so every WHATWG encoding label works
+ * (shift_jis, gbk, windows-1251, iso-8859-x, ...).
+ */
+
+// How far into the document <meta charset> is looked for (as browsers do)
+export const SNIFF_BYTES = 1024;
+
+export const DEFAULT_CHARSET = 'utf-8';
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], charset: 'utf-8' },
+  { bytes: [0xff, 0xfe], charset: 'utf-16le' },
+  { bytes: [0xfe, 0xff], charset: 'utf-16be' }
+];
+
+const META_CHARSET_PATTERN = /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i;
+
+/**
+ * Canonical encoding name for a label, or null when unsupported
+ * @param {string} label - Encoding label (e.g. "Shift-JIS", "latin1")
+ * @returns {string|null}
+ */
+export function normalizeCharset(label) {
+  if (!label) return null;
+  try {
+    return new TextDecoder(label.trim()).encoding;
+  } catch {
+    return null;
+  }
+}
+
+function charsetFromContentType(contentType) {
+  const match = String(contentType || '').match(/charset\s*=\s*["']?([^;"'\s]+)/i);
+  return match ? normalizeCharset(match[1]) : null;
+}
+
+function charsetFromBom(buffer) {
+  const bom = BOMS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  return bom ? bom.charset : null;
+}
+
+function charsetFromMeta(buffer) {
+  // ASCII-compatible prescan; a UTF-16 page without a BOM is not detectable here
+  const head = buffer.subarray(0, SNIFF_BYTES).toString('latin1');
+  const match = head.match(META_CHARSET_PATTERN);
+  const charset = match ? normalizeCharset(match[1]) : null;
+
+  // A meta tag that can be read as ASCII can't really be UTF-16
+  return charset && charset.startsWith('utf-16') ? 'utf-8' : charset;
+}
+
+/**
+ * Detect the encoding of a response body
+ * @param {Buffer} buffer - Raw body (at least the first SNIFF_BYTES when available)
+ * @param {string} [contentType] - Content-Type response header
+ * @returns {{charset: string, source: string}} source is bom, header, meta or default
+ */
+export function detectCharset(buffer, contentType) {
+  const bom = charsetFromBom(buffer);
+  if (bom) return { charset: bom, source: 'bom' };
+
+  const header = charsetFromContentType(contentType);
+  if (header) return { charset: header, source: 'header' };
+
+  const meta = charsetFromMeta(buffer);
+  if (meta) return { charset: meta, source: 'meta' };
+
+  return { charset: DEFAULT_CHARSET, source: 'default' };
+}
+
+/**
+ * Decode a response body to a string
+ * @param {Buffer} buffer - Raw body
+ * @param {string} [contentType] - Content-Type response header
+ * @returns {{html: string, charset: string}}
+ */
+export function decodeBody(buffer, contentType) {
+  const { charset } = detectCharset(buffer, contentType);
+  // TextDecoder strips a BOM matching the encoding
+  return { html: new TextDecoder(charset).decode(buffer), charset };
+}
+
+/**
+ * Incremental decoder for streamed bodies; multi-byte sequences split
+ * across chunks are carried over
+ * @param {string} charset - Encoding to decode
+ * @returns {{write: (chunk: Buffer) => string, end: () => string}}
+ */
+export function createDecoder(charset) {
+  const decoder = new TextDecoder(charset);
+  return {
+    write: (chunk) => decoder.decode(chunk, { stream: true }),
+    end: () => decoder.decode()
+  };
+}
+
+// Optimized output is always UTF-8 and says so
+export const CHARSET_META = '<meta charset="utf-8">';
+
+/**
+ * Whether a <meta> declares the document encoding
+ * @param {Object} attribs - Element attributes
+ * @returns {boolean}
+ */
+export function isCharsetMeta(attribs = {}) {
+  return attribs.charset != null || (attribs['http-equiv'] || '').toLowerCase() === 'content-type';
+}
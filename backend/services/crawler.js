@@ -0,0 +1,446 @@
+/**
+ * Site Crawler Service
+ *
+ * Estimates how much a whole site shrinks:
+ * - Starts from a URL, and optionally from the pages listed in its sitemap.xml
+ *   (sitemap indexes are followed)
+ * - Follows same-origin links breadth-first, up to a depth and a page limit
+ * - Optimizes each page with optimizeHTML and keeps its size and removal counts
+ * - Aggregates a report: bytes before/after, heaviest pages, removal totals
+ *
+ * Crawls run in the background and are polled by id, like batch jobs.
+ * Fetches go through the fetcher, so the SSRF guard and size limit apply.
+ */
+
+import { randomUUID } from 'crypto';
+import * as cheerio from 'cheerio';
+import { fetchWebsite } from './fetcher.js';
+import { optimizeHTML, REMOVAL_CATEGORIES } from './optimizer.js';
+import { calculateMetrics } from './metrics.js';
+import { resolveUrl } from './rewriter.js';
+import { normalizeUrl } from './normalizer.js';
+
+export const CRAWL_RETENTION_MS = 60 * 60 * 1000;
+
+export const CRAWL_DEFAULTS = { maxDepth: 2, maxPages: 50 };
+
+// Upper bounds for client-supplied limits
+export const MAX_CRAWL_DEPTH = 5;
+export const MAX_CRAWL_PAGES = 500;
+
+// Sitemap files read per crawl (an index and the sitemaps it lists)
+const MAX_SITEMAPS = 10;
+
+// Pages listed in a report's worstPages
+const WORST_PAGES = 10;
+
+// Links to files that are never markup, skipped without fetching
+const ASSET_PATTERN = /\.(png|jpe?g|gif|webp|avif|svg|ico|bmp|pdf|zip|gz|tgz|rar|7z|mp3|mp4|m4a|webm|ogg|mov|avi|woff2?|ttf|otf|eot|css|js|json|xml|txt|csv|exe|dmg|apk)$/i;
+
+/**
+ * Same-origin page links of a document, absolute and without fragments
+ * @param {string} html - Original HTML
+ * @param {string} baseUrl - Final page URL
+ * @param {Set<string>} origins - Origins that count as the same site
+ * @returns {string[]}
+ */
+export function extractLinks(html, baseUrl, origins) {
+  const $ = cheerio.load(html);
+  const links = new Set();
+
+  $('a[href], area[href]').each((i, el) => {
+    if (/\bnofollow\b/i.test($(el).attr('rel') || '')) return;
+
+    const absolute = resolveUrl($(el).attr('href'), baseUrl);
+    if (!absolute) return;
+
+    const target = new URL(absolute);
+    if (!origins.has(target.origin) || ASSET_PATTERN.test(target.pathname)) return;
+
+    target.hash = '';
+    links.add(target.href);
+  });
+
+  return [...links];
+}
+
+/**
+ * Whether two URLs are on the same host, ignoring a leading www.
+ */
+function isSameHost(a, b) {
+  const host = (url) => new URL(url).hostname.replace(/^www\./, '');
+  return host(a) === host(b);
+}
+
+/**
+ * Page and nested sitemap URLs listed in a sitemap or sitemap index
+ * @param {string} xml - Sitemap document
+ * @returns {{pages: string[], sitemaps: string[]}}
+ */
+export function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const locs = (selector) => $(selector).map((i, el) => $(el).text().trim()).get().filter(Boolean);
+
+  return {
+    pages: locs('urlset > url > loc'),
+    sitemaps: locs('sitemapindex > sitemap > loc')
+  };
+}
+
+/**
+ * Aggregate report over the pages crawled so far
+ * @param {Object[]} pages - Crawl pages
+ * @returns {Object}
+ */
+export function buildReport(pages) {
+  const done = pages.filter((page) => page.status === 'done');
+  const bytesBefore = done.reduce((sum, page) => sum + page.beforeSize, 0);
+  const bytesAfter = done.reduce((sum, page) => sum + page.afterSize, 0);
+  const bytesSaved = bytesBefore - bytesAfter;
+
+  const removals = Object.fromEntries(Object.keys(REMOVAL_CATEGORIES).map((category) => [
+    category,
+    done.reduce((sum, page) => sum + page.removals[category], 0)
+  ]));
+
+  // Heaviest pages once optimized: where the remaining weight is
+  const worstPages = [...done]
+    .sort((a, b) => b.afterSize - a.afterSize)
+    .slice(0, WORST_PAGES)
+    .map(({ url, beforeSize, afterSize, sizeReductionPercent }) => ({ url, beforeSize, afterSize, sizeReductionPercent }));
+
+  return {
+    pagesOptimized: done.length,
+    bytesBefore,
+    bytesAfter,
+    bytesSaved,
+    sizeReductionPercent: bytesBefore > 0 ? parseFloat(((bytesSaved / bytesBefore) * 100).toFixed(2)) : 0,
+    removals,
+    worstPages
+  };
+}
+
+export class Crawler {
+  /**
+   * @param {Object} [options] - Crawler options
+   * @param {number} [options.concurrency] - Pages fetched at once per crawl
+   * @param {number} [options.retentionMs] - How long finished crawls stay queryable
+   * @param {(crawl: Object) => void} [options.onFinish] - Called once when a crawl finishes, fails or is cancelled
+   */
+  constructor({ concurrency = 3, retentionMs = CRAWL_RETENTION_MS, onFinish = () => {} } = {}) {
+    this.concurrency = concurrency;
+    this.onFinish = onFinish;
+    this.retentionMs = retentionMs;
+    this.crawls = new Map();
+  }
+
+  /**
+   * Start a crawl
+   * @param {string} startUrl - First page (its origin is the site crawled)
+   * @param {Object} [options] - Crawl options
+   * @param {number} [options.maxDepth] - Link hops followed from the start pages
+   * @param {number} [options.maxPages] - Pages crawled at most
+   * @param {boolean|string} [options.sitemap] - true for /sitemap.xml, or a sitemap URL
+   * @param {boolean} [options.followLinks] - false to crawl only the start pages
+   * @param {Object} [options.optimize] - Removal options for optimizeHTML
+   * @param {Object} [context] - Extra data kept on the crawl for the caller
+   * @returns {Object} The crawl
+   */
+  create(startUrl, options = {}, context = {}) {
+    this.prune();
+
+    const crawl = {
+      id: randomUUID(),
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      cancelled: false,
+      startUrl,
+      options: { ...CRAWL_DEFAULTS, followLinks: true, sitemap: false, optimize: {}, ...options },
+      origins: new Set([new URL(startUrl).origin]),
+      sitemap: null,
+      seen: new Set(),
+      frontier: [],
+      pages: [],
+      running: 0,
+      context
+    };
+
+    this.crawls.set(crawl.id, crawl);
+    this.start(crawl).catch((error) => {
+      console.error('Crawl failed:', error);
+      crawl.error = { message: error.message, code: error.code };
+      this.finish(crawl, 'failed');
+    });
+    return crawl;
+  }
+
+  get(id) {
+    return this.crawls.get(id) || null;
+  }
+
+  /**
+   * Number of crawls still running
+   * @param {(crawl: Object) => boolean} [filter] - Only count matching crawls
+   * @returns {number}
+   */
+  countActive(filter = () => true) {
+    return [...this.crawls.values()].filter((crawl) => !crawl.finishedAt && filter(crawl)).length;
+  }
+
+  /**
+   * Cancel a crawl: queued pages are dropped, pages being fetched finish.
+   * Finished crawls are left as they are.
+   * @returns {Object|null} The crawl, or null when unknown
+   */
+  cancel(id) {
+    const crawl = this.get(id);
+    if (!crawl || crawl.finishedAt) return crawl;
+
+    crawl.cancelled = true;
+    crawl.frontier = [];
+    if (!crawl.running) this.finish(crawl, 'cancelled');
+    return crawl;
+  }
+
+  async start(crawl) {
+    const { sitemap } = crawl.options;
+    this.enqueue(crawl, crawl.startUrl, 0);
+
+    if (sitemap) {
+      const sitemapUrl = typeof sitemap === 'string'
+        ? sitemap
+        : new URL('/sitemap.xml', crawl.startUrl).href;
+      const pages = await this.readSitemaps(crawl, sitemapUrl);
+      pages.forEach((url) => this.enqueue(crawl, url, 0));
+    }
+
+    this.pump(crawl);
+  }
+
+  /**
+   * Collect same-origin page URLs from a sitemap and the sitemaps it lists.
+   * A missing or broken sitemap is recorded on the crawl, not fatal.
+   */
+  async readSitemaps(crawl, sitemapUrl) {
+    const queue = [sitemapUrl];
+    const pages = [];
+    crawl.sitemap = { url: sitemapUrl, read: 0, pages: 0, errors: [] };
+
+    while (queue.length && crawl.sitemap.read < MAX_SITEMAPS && !crawl.cancelled) {
+      const url = queue.shift();
+      crawl.sitemap.read++;
+      try {
+        const { html, statusCode, finalUrl } = await fetchWebsite(url);
+        if (statusCode >= 400) throw new Error(`HTTP ${statusCode}`);
+
+        // Like the start page, the sitemap may redirect to the site's canonical
+        // origin (http to https, www); other hosts are not added
+        if (url === sitemapUrl && isSameHost(finalUrl, crawl.startUrl)) {
+          crawl.origins.add(new URL(finalUrl).origin);
+        }
+
+        const listed = parseSitemap(html);
+        pages.push(...listed.pages.filter((page) => this.isSameSite(crawl, page)));
+        queue.push(...listed.sitemaps.filter((nested) => this.isSameSite(crawl, nested)));
+      } catch (error) {
+        crawl.sitemap.errors.push({ url, message: error.message, code: error.code });
+      }
+    }
+
+    crawl.sitemap.pages = pages.length;
+    return pages;
+  }
+
+  isSameSite(crawl, url) {
+    try {
+      return crawl.origins.has(new URL(url).origin);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Queue a page unless it was seen already or the page limit is reached
+   */
+  enqueue(crawl, url, depth) {
+    const key = normalizeUrl(url);
+    if (crawl.cancelled || crawl.seen.has(key) || crawl.pages.length >= crawl.options.maxPages) return;
+
+    crawl.seen.add(key);
+    const page = {
+      url,
+      depth,
+      status: 'queued',
+      statusCode: null,
+      beforeSize: 0,
+      afterSize: 0,
+      sizeReductionPercent: 0,
+      removals: null,
+      loadTime: null,
+      truncated: false,
+      error: null,
+      reason: null
+    };
+    crawl.pages.push(page);
+    crawl.frontier.push(page);
+  }
+
+  /**
+   * Start queued pages while there is capacity; finish when nothing is left
+   */
+  pump(crawl) {
+    while (crawl.running < this.concurrency && crawl.frontier.length) {
+      this.run(crawl, crawl.frontier.shift());
+    }
+    if (!crawl.running && !crawl.frontier.length && !crawl.finishedAt) {
+      this.finish(crawl, crawl.cancelled ? 'cancelled' : 'done');
+    }
+  }
+
+  async run(crawl, page) {
+    crawl.running++;
+    page.status = 'running';
+
+    try {
+      const links = await this.crawlPage(crawl, page);
+      if (page.status === 'running') page.status = 'done';
+      links.forEach((url) => this.enqueue(crawl, url, page.depth + 1));
+    } catch (error) {
+      page.status = 'failed';
+      page.error = { message: error.message, code: error.code };
+    } finally {
+      crawl.running--;
+      this.pump(crawl);
+    }
+  }
+
+  /**
+   * Fetch and optimize one page. Pages that redirect off-site or onto a page
+   * already crawled are marked skipped.
+   * @returns {Promise<string[]>} Links to follow
+   */
+  async crawlPage(crawl, page) {
+    const { maxDepth, followLinks, truncate = false, optimize } = crawl.options;
+    const fetched = await fetchWebsite(page.url, { truncate });
+    page.statusCode = fetched.statusCode;
+    if (fetched.statusCode >= 400) {
+      throw new Error(`HTTP ${fetched.statusCode}`);
+    }
+
+    // The start page may redirect to the site's canonical origin (http to
+    // https, www): that origin is the site too, other hosts are not
+    const finalOrigin = new URL(fetched.finalUrl).origin;
+    if (page.url === crawl.startUrl && isSameHost(fetched.finalUrl, crawl.startUrl)) {
+      crawl.origins.add(finalOrigin);
+    } else if (!crawl.origins.has(finalOrigin)) {
+      return this.skip(page, `Redirected off-site to ${fetched.finalUrl}`);
+    }
+
+    const finalKey = normalizeUrl(fetched.finalUrl);
+    if (finalKey !== normalizeUrl(page.url)) {
+      if (crawl.seen.has(finalKey)) {
+        return this.skip(page, `Redirected to ${fetched.finalUrl}, already crawled`);
+      }
+      crawl.seen.add(finalKey);
+    }
+
+    const optimized = await optimizeHTML(fetched.html, {
+      ...optimize,
+      baseUrl: fetched.finalUrl
+    });
+    const metrics = calculateMetrics({
+      originalHTML: fetched.html,
+      optimizedHTML: optimized.output,
+      originalSize: fetched.originalSize,
+      loadTime: fetched.loadTime,
+      imagesRemoved: optimized.imagesRemoved,
+      cssRemoved: optimized.cssRemoved,
+      videosRemoved: optimized.videosRemoved,
+      fontsRemoved: optimized.fontsRemoved,
+      noscriptPromoted: optimized.noscriptPromoted,
+      sanitized: optimized.sanitized
+    });
+
+    Object.assign(page, {
+      beforeSize: metrics.beforeSize,
+      afterSize: metrics.afterSize,
+      sizeReductionPercent: metrics.sizeReductionPercent,
+      removals: Object.fromEntries(
+        Object.entries(REMOVAL_CATEGORIES).map(([category, field]) => [category, optimized[field]])
+      ),
+      loadTime: fetched.loadTime,
+      truncated: fetched.truncated
+    });
+
+    if (!followLinks || page.depth >= maxDepth) return [];
+    return extractLinks(fetched.html, fetched.finalUrl, crawl.origins);
+  }
+
+  skip(page, reason) {
+    page.status = 'skipped';
+    page.reason = reason;
+    return [];
+  }
+
+  finish(crawl, status) {
+    if (crawl.finishedAt) return;
+    crawl.pages
+      .filter((page) => page.status === 'queued')
+      .forEach((page) => { page.status = 'cancelled'; });
+    crawl.frontier = [];
+    crawl.status = status;
+    crawl.finishedAt = new Date().toISOString();
+    this.onFinish(crawl);
+  }
+
+  /**
+   * Forget finished crawls past their retention
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, crawl] of this.crawls) {
+      if (crawl.finishedAt && Date.parse(crawl.finishedAt) < cutoff) {
+        this.crawls.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Public view of a crawl: progress, the report so far and per-page results
+   * @param {Object} crawl - Crawl from create() or get()
+   * @returns {Object}
+   */
+  summarize(crawl) {
+    const counts = { queued: 0, running: 0, done: 0, skipped: 0, failed: 0, cancelled: 0 };
+    crawl.pages.forEach((page) => counts[page.status]++);
+
+    const { optimize, ...limits } = crawl.options;
+    return {
+      id: crawl.id,
+      status: crawl.status,
+      startUrl: crawl.startUrl,
+      options: limits,
+      createdAt: crawl.createdAt,
+      finishedAt: crawl.finishedAt,
+      error: crawl.error || null,
+      sitemap: crawl.sitemap,
+      total: crawl.pages.length,
+      counts,
+      report: buildReport(crawl.pages),
+      pages: crawl.pages.map((page) => ({
+        url: page.url,
+        depth: page.depth,
+        status: page.status,
+        statusCode: page.statusCode,
+        beforeSize: page.beforeSize,
+        afterSize: page.afterSize,
+        sizeReductionPercent: page.sizeReductionPercent,
+        removals: page.removals,
+        truncated: page.truncated,
+        reason: page.reason,
+        error: page.error
+      }))
+    };
+  }
+}
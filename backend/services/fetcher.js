@@ -3,58 +3,275 @@
  * 
  * Fetches HTML content from websites
  * Handles redirects, errors, and measures load time
+ * Refuses private and reserved addresses (see guard.js)
+ * Streams the body and stops at MAX_RESPONSE_BYTES, refuses binary payloads
+ * Decodes the page from its declared or sniffed charset (see charset.js)
+ * Revalidates cached pages with If-None-Match / If-Modified-Since
  */
 
 import axios from 'axios';
+import { Readable } from 'stream';
+import { assertFetchableUrl, guardedAgents, guardRedirect, findBlockedError } from './guard.js';
+import { decodeBody } from './charset.js';
+
+// Largest response body read from a website (bytes after content decoding)
+export const MAX_RESPONSE_BYTES = parseInt(process.env.MAX_RESPONSE_BYTES, 10) || 5 * 1024 * 1024;
+
+// Content types that can be parsed as markup; anything else (images, PDFs, archives) is refused
+const MARKUP_TYPE_PATTERN = /^(text\/[\w.+-]+|application\/(xhtml\+xml|xml|[\w.-]+\+xml))$/;
+
+// Browser user agent sent with every outbound request
+export const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Shared request settings for buffered and streamed fetches
+const REQUEST_CONFIG = {
+  timeout: 30000, // 30 second timeout
+  maxRedirects: 5,
+  headers: {
+    'User-Agent': USER_AGENT,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1'
+  },
+  validateStatus: (status) => status < 500, // Accept all status codes < 500
+  ...guardedAgents, // Resolved addresses are checked on every connection
+  beforeRedirect: guardRedirect, // Each redirect hop is validated again
+  responseType: 'stream' // Bodies are read incrementally so the size cap holds
+};
+
+/**
+ * Raised when a response can't be optimized (too large, not markup)
+ */
+export class FetchError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {string} code - Machine readable code (ERR_RESPONSE_TOO_LARGE, ...)
+   * @param {number} statusCode - HTTP status to report to the client
+   * @param {Object} [details] - Extra fields for the error response
+   */
+  constructor(message, code, statusCode, details = {}) {
+    super(message);
+    this.name = 'FetchError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+function tooLarge(maxResponseBytes) {
+  return new FetchError(
+    `Response is larger than the ${maxResponseBytes} byte limit`,
+    'ERR_RESPONSE_TOO_LARGE',
+    413,
+    { maxResponseBytes }
+  );
+}
+
+function limitOptions(options) {
+  const { maxResponseBytes = MAX_RESPONSE_BYTES, truncate = false } = options;
+  return { maxResponseBytes, truncate };
+}
+
+/**
+ * Request settings, made conditional when validators of a cached copy are given
+ * @param {{etag: string|null, lastModified: string|null}} [validators]
+ */
+function requestConfig(validators) {
+  if (!validators?.etag && !validators?.lastModified) return REQUEST_CONFIG;
+
+  const headers = { ...REQUEST_CONFIG.headers };
+  if (validators.etag) headers['If-None-Match'] = validators.etag;
+  if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+  return { ...REQUEST_CONFIG, headers };
+}
+
+/**
+ * Upstream validators to store alongside a cached copy, or null when there are none
+ * @returns {{etag: string|null, lastModified: string|null}|null}
+ */
+function readValidators(headers) {
+  const etag = headers.etag || null;
+  const lastModified = headers['last-modified'] || null;
+  return etag || lastModified ? { etag, lastModified } : null;
+}
+
+/**
+ * Content-Encoding the upstream sent. axios removes the header once it has
+ * decompressed the body, so it is read from the raw headers.
+ * @returns {string|null} e.g. "gzip", "br"; null when the body was sent uncompressed
+ */
+function readContentEncoding(response) {
+  const raw = response.request?.res?.rawHeaders || [];
+  for (let i = 0; i < raw.length; i += 2) {
+    if (raw[i].toLowerCase() === 'content-encoding') return raw[i + 1].trim().toLowerCase() || null;
+  }
+  return response.headers['content-encoding'] || null;
+}
+
+/**
+ * Result for a 304: the cached copy is still current, there is no body
+ */
+function notModified(response, url, startTime) {
+  response.data.resume();
+  return {
+    notModified: true,
+    finalUrl: response.request?.res?.responseUrl || url,
+    statusCode: 304,
+    loadTime: Date.now() - startTime,
+    validators: readValidators(response.headers)
+  };
+}
+
+/**
+ * Check response headers before any of the body is read. The body is
+ * discarded when the response is refused.
+ * @throws {FetchError}
+ */
+function checkHeaders(response, { maxResponseBytes, truncate }) {
+  const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  let error = null;
+
+  if (contentType && !MARKUP_TYPE_PATTERN.test(contentType)) {
+    error = new FetchError(
+      `Unsupported content type ${contentType}; only HTML and other text can be optimized`,
+      'ERR_UNSUPPORTED_CONTENT_TYPE',
+      415,
+      { contentType }
+    );
+  }
+
+  // Fail fast when the server announces an oversized body
+  const declaredLength = parseInt(response.headers['content-length'], 10);
+  if (!error && !truncate && declaredLength > maxResponseBytes) {
+    error = tooLarge(maxResponseBytes);
+  }
+
+  if (error) {
+    response.data.destroy();
+    throw error;
+  }
+}
+
+/**
+ * Yield body chunks up to the limit. Returning early destroys the source,
+ * which aborts the download.
+ * @param {import('stream').Readable} source - Response body
+ * @param {Object} limit - { maxResponseBytes, truncate }
+ * @param {Object} state - Receives `truncated`
+ * @param {(received: number) => void} [onBytes] - Called with the running byte count
+ */
+async function* limitBody(source, { maxResponseBytes, truncate }, state, onBytes = () => {}) {
+  let received = 0;
+  state.truncated = false;
+
+  for await (const chunk of source) {
+    if (received + chunk.length > maxResponseBytes) {
+      if (!truncate) throw tooLarge(maxResponseBytes);
+
+      state.truncated = true;
+      onBytes(maxResponseBytes);
+      yield chunk.subarray(0, maxResponseBytes - received);
+      return;
+    }
+
+    received += chunk.length;
+    onBytes(received);
+    yield chunk;
+  }
+}
+
+/**
+ * Read and decode a whole response body, honouring the size limit
+ * @returns {Promise<{html: string, charset: string, originalSize: number, truncated: boolean}>}
+ */
+async function readBody(response, limit, onBytes) {
+  const state = {};
+  const chunks = [];
+  for await (const chunk of limitBody(response.data, limit, state, onBytes)) {
+    chunks.push(chunk);
+  }
+
+  const body = Buffer.concat(chunks);
+  const { html, charset } = decodeBody(body, response.headers['content-type']);
+  return { html, charset, originalSize: body.length, truncated: state.truncated };
+}
+
+/**
+ * Wrap a response body in a stream that stops at the limit
+ * @param {Object} state - Receives `truncated` once the stream has ended
+ */
+function limitStream(source, limit, state) {
+  return Readable.from(limitBody(source, limit, state), { objectMode: false });
+}
 
 /**
  * Fetch website HTML content
  * @param {string} url - Website URL to fetch
- * @returns {Promise<{html: string, originalSize: number, loadTime: number}>}
+ * @param {Object} [options] - Fetch options
+ * @param {number} [options.maxResponseBytes] - Body size limit (defaults to MAX_RESPONSE_BYTES)
+ * @param {boolean} [options.truncate] - Keep the first maxResponseBytes instead of failing
+ * @param {Object} [options.validators] - { etag, lastModified } of a cached copy, to revalidate it
+ * @param {(received: number) => void} [options.onBytes] - Progress callback, called as body bytes arrive
+ * @returns {Promise<{html: string, originalSize: number, loadTime: number, finalUrl: string, charset: string, truncated: boolean, contentEncoding: string|null, validators: Object|null}>}
+ *   originalSize is the encoded byte count as received. When the upstream
+ *   answers 304 the result is { notModified: true, ... } without html.
+ * @throws {BlockedUrlError} When the URL or a redirect targets a disallowed address
+ * @throws {FetchError} When the response is too large or not markup
  */
-export async function fetchWebsite(url) {
+export async function fetchWebsite(url, options = {}) {
   const startTime = Date.now();
+  const limit = limitOptions(options);
+  assertFetchableUrl(url);
 
   try {
-    const response = await axios.get(url, {
-      timeout: 30000, // 30 second timeout
-      maxRedirects: 5,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-      },
-      validateStatus: (status) => status < 500, // Accept all status codes < 500
-      responseType: 'text'
-    });
+    const response = await axios.get(url, requestConfig(options.validators));
+    if (response.status === 304) {
+      return notModified(response, url, startTime);
+    }
+
+    checkHeaders(response, limit);
+    const { html, charset, originalSize, truncated } = await readBody(response, limit, options.onBytes);
 
     const loadTime = Date.now() - startTime;
-    const html = response.data || '';
-    const originalSize = Buffer.byteLength(html, 'utf8');
+
+    // URL after redirects, needed to resolve relative links
+    const finalUrl = response.request?.res?.responseUrl || url;
 
     return {
       html,
       originalSize,
       loadTime,
-      statusCode: response.status
+      finalUrl,
+      statusCode: response.status,
+      charset,
+      truncated,
+      contentEncoding: readContentEncoding(response),
+      validators: readValidators(response.headers)
     };
 
   } catch (error) {
     const loadTime = Date.now() - startTime;
-    
-    if (error.response) {
-      // Server responded with error status
-      const html = error.response.data || '';
-      const originalSize = Buffer.byteLength(html, 'utf8');
-      
+    const blocked = findBlockedError(error);
+
+    if (blocked) {
+      throw blocked;
+    } else if (error instanceof FetchError) {
+      throw error;
+    } else if (error.response) {
+      // Server responded with error status; keep whatever fits of its page
+      const { html, charset, originalSize, truncated } = await readBody(error.response, { ...limit, truncate: true }, options.onBytes);
+
       return {
         html,
         originalSize,
         loadTime,
+        finalUrl: error.response.request?.res?.responseUrl || url,
         statusCode: error.response.status,
+        charset,
+        truncated,
+        contentEncoding: readContentEncoding(error.response),
         error: error.message
       };
     } else if (error.request) {
@@ -66,3 +283,66 @@ export async function fetchWebsite(url) {
     }
   }
 }
+
+/**
+ * Fetch website HTML as a stream, so it can be optimized while it downloads.
+ * The stream ends early (truncate) or errors with FetchError at the size limit.
+ * It carries raw bytes; pass contentType to the optimizer stream for decoding.
+ * @param {string} url - Website URL to fetch
+ * @param {Object} [options] - Same limit and validators options as fetchWebsite
+ * @returns {Promise<{stream: import('stream').Readable, finalUrl: string, contentType: string|null, statusCode: number, startTime: number, truncated: boolean, validators: Object|null}>}
+ *   or { notModified: true, ... } without a stream on 304. truncated is set
+ *   once the stream has ended.
+ * @throws {BlockedUrlError} When the URL or a redirect targets a disallowed address
+ * @throws {FetchError} When the response is announced too large or is not markup
+ */
+export async function fetchWebsiteStream(url, options = {}) {
+  const startTime = Date.now();
+  const limit = limitOptions(options);
+  assertFetchableUrl(url);
+
+  try {
+    const response = await axios.get(url, requestConfig(options.validators));
+    if (response.status === 304) {
+      return notModified(response, url, startTime);
+    }
+
+    checkHeaders(response, limit);
+
+    const result = {
+      finalUrl: response.request?.res?.responseUrl || url,
+      contentType: response.headers['content-type'] || null,
+      statusCode: response.status,
+      startTime,
+      truncated: false,
+      validators: readValidators(response.headers)
+    };
+    result.stream = limitStream(response.data, limit, result);
+    return result;
+
+  } catch (error) {
+    const blocked = findBlockedError(error);
+
+    if (blocked) {
+      throw blocked;
+    } else if (error instanceof FetchError) {
+      throw error;
+    } else if (error.response) {
+      // Server responded with error status; its body is still a page
+      const result = {
+        finalUrl: error.response.request?.res?.responseUrl || url,
+        contentType: error.response.headers['content-type'] || null,
+        statusCode: error.response.status,
+        startTime,
+        truncated: false,
+        error: error.message
+      };
+      result.stream = limitStream(error.response.data, { ...limit, truncate: true }, result);
+      return result;
+    } else if (error.request) {
+      throw new Error(`No response from server: ${error.message}`);
+    } else {
+      throw new Error(`Request setup error: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,374 @@
+/**
+ * Output Formatter Service
+ *
+ * Converts an optimized cheerio document into alternate formats:
+ * - markdown: headings, emphasis, links, lists, tables, code, quotes
+ * - text: readable plain text with block spacing
+ * - json: structured headings, paragraphs, lists, tables and links
+ */
+
+export const OUTPUT_FORMATS = ['html', 'markdown', 'text', 'json'];
+
+export const CONTENT_TYPES = {
+  html: 'text/html; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8',
+  text: 'text/plain; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+const SKIPPED_TAGS = new Set([
+  'head', 'script', 'style', 'noscript', 'template', 'svg', 'canvas',
+  'iframe', 'object', 'embed', 'select', 'button', 'video', 'audio'
+]);
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'body', 'center', 'dd', 'details', 'dialog',
+  'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form',
+  'header', 'html', 'main', 'nav', 'section', 'summary'
+]);
+
+const HEADING_PATTERN = /^h([1-6])$/;
+
+function collapse(text) {
+  return text.replace(/[ \t\r\n\f]+/g, ' ');
+}
+
+function cleanInline(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/ +/g, ' ').trim())
+    .join('\n')
+    .trim();
+}
+
+function imageText(el) {
+  const alt = el.attribs?.alt;
+  return alt ? `[Image: ${alt}]` : '';
+}
+
+/**
+ * Text content with whitespace preserved (for <pre>)
+ */
+function rawText(nodes) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.data;
+    if (node.type !== 'tag' || SKIPPED_TAGS.has(node.name)) return '';
+    if (node.name === 'br') return '\n';
+    return rawText(node.children || []);
+  }).join('');
+}
+
+/**
+ * Render inline content as plain text
+ */
+function plainInline(nodes) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return collapse(node.data);
+    if (node.type !== 'tag' || SKIPPED_TAGS.has(node.name)) return '';
+    if (node.name === 'br') return '\n';
+    if (node.name === 'img') return imageText(node);
+    return plainInline(node.children || []);
+  }).join('');
+}
+
+/**
+ * Render inline content as Markdown
+ */
+function markdownInline(nodes) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return collapse(node.data);
+    if (node.type !== 'tag' || SKIPPED_TAGS.has(node.name)) return '';
+
+    const inner = () => markdownInline(node.children || []);
+    const wrap = (marker) => {
+      const text = inner().trim();
+      return text ? `${marker}${text}${marker}` : '';
+    };
+
+    switch (node.name) {
+      case 'br':
+        return '\n';
+      case 'img':
+        if (node.attribs?.src) {
+          return `![${node.attribs.alt || ''}](${node.attribs.src})`;
+        }
+        return imageText(node);
+      case 'strong':
+      case 'b':
+        return wrap('**');
+      case 'em':
+      case 'i':
+        return wrap('_');
+      case 'del':
+      case 's':
+        return wrap('~~');
+      case 'code':
+        return wrap('`');
+      case 'a': {
+        const text = inner().trim();
+        const href = node.attribs?.href;
+        if (!href || href.startsWith('javascript:')) return text;
+        return `[${text || href}](${href})`;
+      }
+      default:
+        return inner();
+    }
+  }).join('');
+}
+
+/**
+ * Build a list block, keeping nested lists on their items
+ */
+function listBlock(el, renderInline) {
+  const items = [];
+  (el.children || []).forEach((child) => {
+    if (child.type !== 'tag' || child.name !== 'li') return;
+
+    const nested = (child.children || []).filter((n) => n.type === 'tag' && (n.name === 'ul' || n.name === 'ol'));
+    const content = (child.children || []).filter((n) => !nested.includes(n));
+    const item = { text: cleanInline(renderInline(content)) };
+    if (nested.length) {
+      item.list = {
+        ordered: nested[0].name === 'ol',
+        items: nested.flatMap((list) => listBlock(list, renderInline).items)
+      };
+    }
+    items.push(item);
+  });
+
+  return { type: 'list', ordered: el.name === 'ol', items };
+}
+
+/**
+ * Build a table block from rows of cells
+ */
+function tableBlock(el, renderInline) {
+  const rows = [];
+  let headers = null;
+
+  const visit = (node) => {
+    (node.children || []).forEach((child) => {
+      if (child.type !== 'tag') return;
+      if (child.name === 'tr') {
+        const cells = (child.children || []).filter((c) => c.type === 'tag' && (c.name === 'td' || c.name === 'th'));
+        const values = cells.map((c) => cleanInline(renderInline(c.children || [])).replace(/\n/g, ' '));
+        const isHeader = cells.length > 0 && cells.every((c) => c.name === 'th');
+        if (isHeader && !headers && !rows.length) {
+          headers = values;
+        } else {
+          rows.push(values);
+        }
+      } else if (child.name !== 'table') {
+        visit(child);
+      }
+    });
+  };
+  visit(el);
+
+  return { type: 'table', headers: headers || [], rows };
+}
+
+/**
+ * Walk the document and collect block-level content
+ * @param {Object} root - Root node
+ * @param {Function} renderInline - Inline renderer (plain or markdown)
+ * @returns {Array<Object>}
+ */
+function collectBlocks(root, renderInline) {
+  const blocks = [];
+  let pending = [];
+
+  const flush = () => {
+    const text = cleanInline(renderInline(pending));
+    if (text) blocks.push({ type: 'paragraph', text });
+    pending = [];
+  };
+
+  const walk = (node) => {
+    (node.children || []).forEach((child) => {
+      if (child.type === 'text') {
+        pending.push(child);
+        return;
+      }
+      if (child.type !== 'tag' || SKIPPED_TAGS.has(child.name)) return;
+
+      const heading = child.name.match(HEADING_PATTERN);
+      if (heading) {
+        flush();
+        const text = cleanInline(renderInline(child.children || [])).replace(/\n/g, ' ');
+        if (text) blocks.push({ type: 'heading', level: Number(heading[1]), text });
+      } else if (child.name === 'p') {
+        flush();
+        pending = child.children || [];
+        flush();
+      } else if (child.name === 'ul' || child.name === 'ol') {
+        flush();
+        const list = listBlock(child, renderInline);
+        if (list.items.length) blocks.push(list);
+      } else if (child.name === 'table') {
+        flush();
+        const table = tableBlock(child, renderInline);
+        if (table.rows.length || table.headers.length) blocks.push(table);
+      } else if (child.name === 'pre') {
+        flush();
+        const text = rawText(child.children || []).replace(/^\n|\n+$/g, '');
+        if (text.trim()) blocks.push({ type: 'code', text });
+      } else if (child.name === 'blockquote') {
+        flush();
+        const text = collectBlocks(child, renderInline).map((b) => b.text).filter(Boolean).join('\n\n');
+        if (text) blocks.push({ type: 'quote', text });
+      } else if (child.name === 'hr') {
+        flush();
+        blocks.push({ type: 'rule' });
+      } else if (BLOCK_TAGS.has(child.name)) {
+        flush();
+        walk(child);
+        flush();
+      } else {
+        pending.push(child);
+      }
+    });
+  };
+
+  walk(root);
+  flush();
+  return blocks;
+}
+
+function markdownList(list, depth = 0) {
+  const indent = '   '.repeat(depth);
+  return list.items.map((item, i) => {
+    const marker = list.ordered ? `${i + 1}.` : '-';
+    const lines = [`${indent}${marker} ${item.text.replace(/\n/g, `\n${indent}   `)}`];
+    if (item.list) {
+      lines.push(markdownList(item.list, depth + 1));
+    }
+    return lines.join('\n');
+  }).join('\n');
+}
+
+function markdownTable(table) {
+  const escape = (cell) => cell.replace(/\|/g, '\\|');
+  const headers = table.headers.length ? table.headers : (table.rows[0] || []);
+  const rows = table.headers.length ? table.rows : table.rows.slice(1);
+  const width = Math.max(headers.length, ...rows.map((r) => r.length));
+  const pad = (cells) => Array.from({ length: width }, (_, i) => escape(cells[i] || ''));
+
+  return [
+    `| ${pad(headers).join(' | ')} |`,
+    `| ${Array(width).fill('---').join(' | ')} |`,
+    ...rows.map((row) => `| ${pad(row).join(' | ')} |`)
+  ].join('\n');
+}
+
+function textList(list, depth = 0) {
+  const indent = '  '.repeat(depth);
+  return list.items.map((item, i) => {
+    const marker = list.ordered ? `${i + 1}.` : '-';
+    const lines = [`${indent}${marker} ${item.text}`];
+    if (item.list) {
+      lines.push(textList(item.list, depth + 1));
+    }
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * Convert a document to Markdown
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio document
+ * @returns {string}
+ */
+export function toMarkdown($) {
+  const root = $('body').get(0) || $.root().get(0);
+  return collectBlocks(root, markdownInline).map((block) => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${block.text}`;
+      case 'list':
+        return markdownList(block);
+      case 'table':
+        return markdownTable(block);
+      case 'code':
+        return `\`\`\`\n${block.text}\n\`\`\``;
+      case 'quote':
+        return block.text.split('\n').map((line) => `> ${line}`.trimEnd()).join('\n');
+      case 'rule':
+        return '---';
+      default:
+        return block.text.replace(/\n/g, '  \n');
+    }
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Convert a document to plain text
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio document
+ * @returns {string}
+ */
+export function toText($) {
+  const root = $('body').get(0) || $.root().get(0);
+  return collectBlocks(root, plainInline).map((block) => {
+    switch (block.type) {
+      case 'list':
+        return textList(block);
+      case 'table':
+        return [block.headers, ...block.rows]
+          .filter((row) => row.length)
+          .map((row) => row.join('\t'))
+          .join('\n');
+      case 'rule':
+        return '----';
+      default:
+        return block.text;
+    }
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Describe a document as structured JSON
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio document
+ * @returns {{title: string, blocks: Array<Object>, links: Array<{text: string, href: string}>}}
+ */
+export function toJSON($) {
+  const root = $('body').get(0) || $.root().get(0);
+
+  const links = [];
+  $('a[href]').each((i, el) => {
+    const href = $(el).attr('href');
+    if (!href || href.startsWith('javascript:')) return;
+    links.push({ text: collapse($(el).text()).trim(), href });
+  });
+
+  return {
+    title: collapse($('title').first().text()).trim(),
+    blocks: collectBlocks(root, plainInline),
+    links
+  };
+}
+
+/**
+ * Format a document
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio document
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {{output: string, content: string|Object, contentType: string}}
+ */
+export function formatDocument($, format = 'html') {
+  switch (format) {
+    case 'markdown': {
+      const output = toMarkdown($);
+      return { output, content: output, contentType: CONTENT_TYPES.markdown };
+    }
+    case 'text': {
+      const output = toText($);
+      return { output, content: output, contentType: CONTENT_TYPES.text };
+    }
+    case 'json': {
+      const content = toJSON($);
+      return { output: JSON.stringify(content), content, contentType: CONTENT_TYPES.json };
+    }
+    default: {
+      const output = $.html();
+      return { output, content: output, contentType: CONTENT_TYPES.html };
+    }
+  }
+}
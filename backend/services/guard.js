@@ -0,0 +1,223 @@
+/**
+ * URL Guard Service
+ *
+ * Protects outbound fetches against SSRF:
+ * - Only http(s) URLs are fetched
+ * - Hostnames are checked after DNS resolution (at connect time, so DNS
+ *   rebinding can't swap in a private address after validation)
+ * - Loopback, private, link-local and other reserved ranges are rejected,
+ *   including IPv4 addresses embedded in IPv6 (mapped, IPv4-compatible,
+ *   NAT64 and 6to4)
+ * - Every redirect hop is validated again
+ *
+ * Internal hosts can be allowed with FETCH_ALLOWLIST, a comma-separated list
+ * of hostnames or IPs (`*.staging.example.com` matches subdomains).
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local (cloud metadata)
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+  ['2001:db8::', 32] // documentation
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+// IPv6 ranges that carry an IPv4 address, with the offset of its first byte.
+// (IPv4-mapped ::ffff:0:0/96 is matched by BlockList itself.)
+const EMBEDDED_IPV4_RANGES = [
+  ['64:ff9b::', 96, 12], // NAT64
+  ['::', 96, 12], // IPv4-compatible (deprecated)
+  ['2002::', 16, 2] // 6to4
+].map(([address, prefix, offset]) => {
+  const range = new net.BlockList();
+  range.addSubnet(address, prefix, 'ipv6');
+  return { range, offset };
+});
+
+/**
+ * The 16 bytes of an IPv6 address
+ */
+function ipv6Bytes(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+
+  // A trailing dotted quad becomes the last two groups
+  const quad = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (quad) {
+    const [a, b, c, d] = quad.slice(1).map(Number);
+    text = `${text.slice(0, quad.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const groups = (part) => (part ? part.split(':') : []);
+  const all = tail === undefined
+    ? groups(head)
+    : [...groups(head), ...Array(8 - groups(head).length - groups(tail).length).fill('0'), ...groups(tail)];
+  return all.flatMap((group) => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+/**
+ * IPv4 address carried by an NAT64, IPv4-compatible or 6to4 address
+ * @returns {string|null}
+ */
+function embeddedIPv4(address) {
+  const match = EMBEDDED_IPV4_RANGES.find(({ range }) => range.check(address, 'ipv6'));
+  if (!match) return null;
+  return ipv6Bytes(address).slice(match.offset, match.offset + 4).join('.');
+}
+
+/**
+ * Raised when a URL or address may not be fetched
+ */
+export class BlockedUrlError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {number} [statusCode] - HTTP status to report to the client
+   */
+  constructor(message, statusCode = 403) {
+    super(message);
+    this.name = 'BlockedUrlError';
+    this.code = 'ERR_BLOCKED_URL';
+    this.statusCode = statusCode;
+  }
+}
+
+function allowlist() {
+  return (process.env.FETCH_ALLOWLIST || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether a host is on the FETCH_ALLOWLIST
+ * @param {string} hostname - Hostname or IP
+ * @returns {boolean}
+ */
+export function isAllowlisted(hostname) {
+  const host = (hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+  return allowlist().some((entry) => (
+    entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry
+  ));
+}
+
+/**
+ * Whether an IP address is in a private, loopback, link-local or reserved range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) match the IPv4 ranges
+  if (blockList.check(address, family === 6 ? 'ipv6' : 'ipv4')) return true;
+
+  const embedded = family === 6 ? embeddedIPv4(address) : null;
+  return embedded != null && blockList.check(embedded, 'ipv4');
+}
+
+/**
+ * Validate a URL before fetching it (scheme and literal IP hosts)
+ * @param {string|URL} url - URL to check
+ * @throws {BlockedUrlError}
+ */
+export function assertFetchableUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new BlockedUrlError('Invalid URL format', 400);
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw new BlockedUrlError(`Only http and https URLs can be fetched (got ${parsed.protocol})`, 400);
+  }
+
+  // Literal IPs never reach the DNS lookup, so they are checked here
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (isPrivateAddress(host) && !isAllowlisted(host)) {
+    throw new BlockedUrlError(`Fetching private or reserved address ${host} is not allowed`);
+  }
+}
+
+/**
+ * dns.lookup replacement that rejects private addresses at connect time
+ */
+export function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!isAllowlisted(hostname)) {
+      const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+      if (blocked) {
+        return callback(new BlockedUrlError(`${hostname} resolves to private or reserved address ${blocked.address}`));
+      }
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Agents whose connections go through the guarded lookup
+ */
+export const guardedAgents = {
+  httpAgent: new http.Agent({ keepAlive: true, lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ keepAlive: true, lookup: guardedLookup })
+};
+
+/**
+ * follow-redirects hook: validate every redirect hop
+ * @param {Object} options - Options of the next request
+ */
+export function guardRedirect(options) {
+  assertFetchableUrl(options.href || `${options.protocol}//${options.hostname}${options.path || ''}`);
+}
+
+/**
+ * Find a BlockedUrlError anywhere in an error's cause chain
+ * @param {Error} error - Error thrown by axios
+ * @returns {BlockedUrlError|null}
+ */
+export function findBlockedError(error) {
+  let current = error;
+  for (let depth = 0; current && depth < 5; depth++) {
+    if (current instanceof BlockedUrlError) return current;
+    current = current.cause;
+  }
+  return null;
+}
@@ -0,0 +1,182 @@
+/**
+ * Batch Job Service
+ *
+ * Runs many optimizations in the background:
+ * - A job is a list of items (URL + options), polled by id
+ * - One queue with bounded concurrency is shared by every job
+ * - Cancelling a job drops its queued items; items already running finish
+ * - Finished jobs are kept for JOB_RETENTION_MS, then forgotten
+ *
+ * The work itself is done by the worker passed to the queue.
+ */
+
+import { randomUUID } from 'crypto';
+
+export const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+const FINAL_STATUSES = ['done', 'failed', 'cancelled'];
+
+export class JobQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {(item: Object, job: Object) => Promise<Object>} options.worker - Processes one item, resolves to its result
+   * @param {number} [options.concurrency] - Items processed at once across all jobs
+   * @param {number} [options.retentionMs] - How long finished jobs stay queryable
+   * @param {(job: Object) => void} [options.onFinish] - Called once when a job finishes or is cancelled
+   */
+  constructor({ worker, concurrency = 3, retentionMs = JOB_RETENTION_MS, onFinish = () => {} }) {
+    this.worker = worker;
+    this.onFinish = onFinish;
+    this.concurrency = concurrency;
+    this.retentionMs = retentionMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a job
+   * @param {Object[]} inputs - Item inputs passed to the worker (each has a url)
+   * @param {Object} [context] - Extra data kept on the job for the worker
+   * @returns {Object} The job
+   */
+  create(inputs, context = {}) {
+    this.prune();
+
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      cancelled: false,
+      context,
+      items: inputs.map((input, index) => ({
+        index,
+        input,
+        status: 'queued',
+        result: null,
+        error: null,
+        startedAt: null,
+        finishedAt: null
+      }))
+    };
+
+    this.jobs.set(job.id, job);
+    job.items.forEach((item) => this.pending.push({ job, item }));
+    this.pump();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Number of items waiting to run
+   * @param {(job: Object) => boolean} [filter] - Only count items of matching jobs
+   * @returns {number}
+   */
+  countPending(filter = () => true) {
+    return this.pending.filter(({ job }) => filter(job)).length;
+  }
+
+  /**
+   * Cancel a job: queued items are dropped, running items finish.
+   * Finished jobs are left as they are.
+   * @returns {Object|null} The job, or null when unknown
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (!job || job.finishedAt) return job;
+
+    job.cancelled = true;
+    job.items
+      .filter((item) => item.status === 'queued')
+      .forEach((item) => {
+        item.status = 'cancelled';
+        item.finishedAt = new Date().toISOString();
+      });
+    this.pending = this.pending.filter((entry) => entry.job !== job);
+    this.updateStatus(job);
+    return job;
+  }
+
+  /**
+   * Start queued items while there is capacity
+   */
+  pump() {
+    while (this.running < this.concurrency && this.pending.length) {
+      const { job, item } = this.pending.shift();
+      this.run(job, item);
+    }
+  }
+
+  async run(job, item) {
+    this.running++;
+    item.status = 'running';
+    item.startedAt = new Date().toISOString();
+    if (job.status === 'queued') job.status = 'running';
+
+    try {
+      item.result = await this.worker(item.input, job);
+      item.status = 'done';
+    } catch (error) {
+      item.status = 'failed';
+      item.error = { message: error.message, code: error.code };
+    } finally {
+      item.finishedAt = new Date().toISOString();
+      this.running--;
+      this.updateStatus(job);
+      this.pump();
+    }
+  }
+
+  updateStatus(job) {
+    const statuses = job.items.map((item) => item.status);
+    if (!statuses.every((status) => FINAL_STATUSES.includes(status))) return;
+
+    if (job.finishedAt) return;
+    job.status = job.cancelled ? 'cancelled' : 'done';
+    job.finishedAt = new Date().toISOString();
+    this.onFinish(job);
+  }
+
+  /**
+   * Forget finished jobs past their retention
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Public view of a job, with per-status item counts
+   * @param {Object} job - Job from create() or get()
+   * @returns {Object}
+   */
+  summarize(job) {
+    const counts = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+    job.items.forEach((item) => counts[item.status]++);
+
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      total: job.items.length,
+      counts,
+      items: job.items.map((item) => ({
+        url: item.input.url,
+        status: item.status,
+        ...item.result,
+        error: item.error,
+        startedAt: item.startedAt,
+        finishedAt: item.finishedAt
+      }))
+    };
+  }
+}
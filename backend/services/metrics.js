@@ -1,13 +1,124 @@
 /**
  * Metrics Calculator Service
- * 
+ *
  * Calculates performance metrics from optimization results
+ *
+ * Load times are estimated per network profile (slow 2G, 3G, 4G, cable):
+ * - The document costs connection setup, one round trip per TCP slow-start
+ *   window, and its transfer time at the profile's bandwidth
+ * - Subresources (stylesheets, scripts, images, media, fonts, frames) are
+ *   requested over the profile's parallel connections, one round trip per
+ *   batch, plus their transfer time when their size is known
+ * Subresources the optimizer removed only count before optimization.
+ *
+ * When subresource sizes were measured (see subresources.js), the bytes they
+ * save are reported too.
  */
 
+import { findSubresources } from './subresources.js';
+
+// Bandwidth (downlink), round-trip time and parallel connections per host
+export const NETWORK_PROFILES = {
+  'slow-2g': { label: 'Slow 2G', downlinkKbps: 50, rttMs: 2000, connections: 6 },
+  '3g': { label: '3G', downlinkKbps: 1600, rttMs: 300, connections: 6 },
+  '4g': { label: '4G', downlinkKbps: 9000, rttMs: 170, connections: 6 },
+  cable: { label: 'Cable', downlinkKbps: 5000, rttMs: 28, connections: 6 }
+};
+
+// Profile used for the top-level beforeLoadTime / afterLoadTime
+export const DEFAULT_NETWORK_PROFILE = NETWORK_PROFILES[process.env.NETWORK_PROFILE]
+  ? process.env.NETWORK_PROFILE
+  : '4g';
+
+// TCP handshake + TLS 1.3 handshake
+const CONNECTION_SETUP_RTTS = 2;
+
+// Initial TCP congestion window: 10 segments of 1460 bytes
+const INITIAL_WINDOW_BYTES = 14600;
+
+/**
+ * URLs of the subresources a document loads (deduplicated, as written)
+ * @param {string} html - Document markup
+ * @returns {string[]}
+ */
+export function collectSubresources(html) {
+  return findSubresources(html).map((resource) => resource.url);
+}
+
+/**
+ * Time to transfer bytes at a profile's bandwidth
+ */
+function transferMs(bytes, profile) {
+  return (bytes * 8) / profile.downlinkKbps;
+}
+
+/**
+ * Round trips to deliver a response while TCP slow start doubles the window
+ */
+function slowStartRoundTrips(bytes) {
+  let trips = 1;
+  let window = INITIAL_WINDOW_BYTES;
+  let delivered = window;
+  while (delivered < bytes) {
+    window *= 2;
+    delivered += window;
+    trips++;
+  }
+  return trips;
+}
+
+/**
+ * Estimated load time of a document and its subresources on a network profile
+ * @param {Object} page - What is loaded
+ * @param {number} page.documentBytes - Document size
+ * @param {number} page.subresources - Number of subresource requests
+ * @param {number} [page.subresourceBytes] - Their total size, when known
+ * @param {Object} profile - Entry of NETWORK_PROFILES
+ * @returns {number} Milliseconds
+ */
+export function estimateLoadTime({ documentBytes, subresources, subresourceBytes = 0 }, profile) {
+  const document = (CONNECTION_SETUP_RTTS + slowStartRoundTrips(documentBytes)) * profile.rttMs +
+    transferMs(documentBytes, profile);
+
+  const batches = Math.ceil(subresources / profile.connections);
+  const assets = subresources
+    ? (CONNECTION_SETUP_RTTS + batches) * profile.rttMs + transferMs(subresourceBytes, profile)
+    : 0;
+
+  return document + assets;
+}
+
+function percentOf(part, whole) {
+  return whole > 0 ? parseFloat(((part / whole) * 100).toFixed(2)) : 0;
+}
+
+/**
+ * Before/after load time estimates for every network profile
+ * @param {Object} before - { documentBytes, subresources, subresourceBytes }
+ * @param {Object} after - Same, for the optimized page
+ * @returns {Object} Keyed by profile name
+ */
+export function estimateNetworkProfiles(before, after) {
+  return Object.fromEntries(Object.entries(NETWORK_PROFILES).map(([name, profile]) => {
+    const beforeLoadTime = Math.round(estimateLoadTime(before, profile));
+    const afterLoadTime = Math.round(estimateLoadTime(after, profile));
+    const loadTimeReduction = beforeLoadTime - afterLoadTime;
+
+    return [name, {
+      label: profile.label,
+      beforeLoadTime,
+      afterLoadTime,
+      loadTimeReduction,
+      loadTimeReductionPercent: percentOf(loadTimeReduction, beforeLoadTime)
+    }];
+  }));
+}
+
 /**
  * Calculate performance metrics
- * @param {Object} data - Optimization data
- * @returns {Object} Metrics object
+ * @param {Object} data - Optimization data (subresourceWeight: result of measureSubresources, optional)
+ * @returns {Object} Metrics object. beforeLoadTime / afterLoadTime are the
+ *   DEFAULT_NETWORK_PROFILE estimates; measuredLoadTime is the actual fetch time
  */
 export function calculateMetrics(data) {
   const {
@@ -18,44 +129,66 @@ export function calculateMetrics(data) {
     imagesRemoved = 0,
     cssRemoved = 0,
     videosRemoved = 0,
-    fontsRemoved = 0
+    fontsRemoved = 0,
+    noscriptPromoted = 0,
+    sanitized = 0,
+    subresourceWeight = null
   } = data;
 
   const optimizedSize = Buffer.byteLength(optimizedHTML, 'utf8');
   const sizeReduction = originalSize - optimizedSize;
-  const sizeReductionPercent = originalSize > 0 
+  const sizeReductionPercent = originalSize > 0
     ? ((sizeReduction / originalSize) * 100).toFixed(2)
     : 0;
 
-  // Estimate load time reduction (simplified calculation)
-  // Assuming 1KB = ~1ms load time on average connection
-  const estimatedLoadTimeReduction = sizeReduction / 1024; // Rough estimate
-  const afterLoadTime = Math.max(loadTime - estimatedLoadTimeReduction, loadTime * 0.1); // At least 10% of original
-  const loadTimeReduction = loadTime - afterLoadTime;
-  const loadTimeReductionPercent = loadTime > 0
-    ? ((loadTimeReduction / loadTime) * 100).toFixed(2)
-    : 0;
+  // Subresource requests before and after (removed ones are no longer fetched)
+  const subresourcesBefore = collectSubresources(originalHTML || '').length;
+  const subresourcesAfter = collectSubresources(optimizedHTML).length;
+
+  const networkProfiles = estimateNetworkProfiles(
+    { documentBytes: originalSize, subresources: subresourcesBefore, subresourceBytes: subresourceWeight?.bytes },
+    { documentBytes: optimizedSize, subresources: subresourcesAfter, subresourceBytes: subresourceWeight?.keptBytes }
+  );
+  const estimate = networkProfiles[DEFAULT_NETWORK_PROFILE];
 
   return {
-    beforeLoadTime: loadTime,
-    afterLoadTime: Math.round(afterLoadTime),
-    loadTimeReduction: Math.round(loadTimeReduction),
-    loadTimeReductionPercent: parseFloat(loadTimeReductionPercent),
-    
+    beforeLoadTime: estimate.beforeLoadTime,
+    afterLoadTime: estimate.afterLoadTime,
+    loadTimeReduction: estimate.loadTimeReduction,
+    loadTimeReductionPercent: estimate.loadTimeReductionPercent,
+    measuredLoadTime: loadTime,
+    networkProfile: DEFAULT_NETWORK_PROFILE,
+    networkProfiles,
+
     beforeSize: originalSize,
     afterSize: optimizedSize,
     sizeReduction: sizeReduction,
     sizeReductionPercent: parseFloat(sizeReductionPercent),
-    
+
     imagesRemoved,
     cssRemoved,
     videosRemoved,
     fontsRemoved,
-    
+
     totalResourcesRemoved: imagesRemoved + cssRemoved + videosRemoved + fontsRemoved,
-    
-    performanceGain: parseFloat(loadTimeReductionPercent),
-    
+
+    subresourceRequests: {
+      before: subresourcesBefore,
+      after: subresourcesAfter,
+      avoided: Math.max(subresourcesBefore - subresourcesAfter, 0)
+    },
+
+    // Only with measured subresources: their sizes, and document plus subresource savings
+    ...(subresourceWeight && {
+      subresourceWeight,
+      totalBytesAvoided: sizeReduction + subresourceWeight.avoidedBytes
+    }),
+
+    noscriptPromoted,
+    sanitized,
+
+    performanceGain: estimate.loadTimeReductionPercent,
+
     timestamp: new Date().toISOString()
   };
 }
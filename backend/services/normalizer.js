@@ -0,0 +1,97 @@
+/**
+ * URL Normalizer Service
+ *
+ * Builds the URL used in cache and metrics keys, so equivalent URLs share
+ * one entry:
+ * - Tracking params (utm_*, fbclid, gclid, ...) are stripped
+ * - Query params are sorted
+ * - The fragment is dropped
+ * - A trailing slash on the path is dropped
+ *
+ * Configured with URL_NORMALIZATION, a comma-separated list of the steps to
+ * apply (tracking, sort, fragment, slash; default all, "none" for raw URLs),
+ * and TRACKING_PARAMS, which replaces the default tracking param list
+ * (a trailing * matches a prefix).
+ */
+
+export const NORMALIZATION_STEPS = ['tracking', 'sort', 'fragment', 'slash'];
+
+export const DEFAULT_TRACKING_PARAMS = [
+  'utm_*', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid',
+  'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok',
+  'vero_id', 'oly_enc_id', 'oly_anon_id', 'rb_clickid', 'wickedid', 'ref_src'
+];
+
+function parseList(value) {
+  return value.split(',').map((item) => item.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Normalization settings from the environment
+ * @returns {{steps: string[], trackingParams: string[]}}
+ */
+export function normalizationConfig() {
+  const steps = process.env.URL_NORMALIZATION != null
+    ? parseList(process.env.URL_NORMALIZATION).filter((step) => NORMALIZATION_STEPS.includes(step))
+    : NORMALIZATION_STEPS;
+  const trackingParams = process.env.TRACKING_PARAMS != null
+    ? parseList(process.env.TRACKING_PARAMS)
+    : DEFAULT_TRACKING_PARAMS;
+
+  return { steps, trackingParams };
+}
+
+/**
+ * Whether a query param is a tracking param
+ * @param {string} name - Param name
+ * @param {string[]} trackingParams - Names, or prefixes ending in *
+ * @returns {boolean}
+ */
+export function isTrackingParam(name, trackingParams = DEFAULT_TRACKING_PARAMS) {
+  const key = name.toLowerCase();
+  return trackingParams.some((param) => (
+    param.endsWith('*') ? key.startsWith(param.slice(0, -1)) : key === param
+  ));
+}
+
+/**
+ * Normalize a URL for use as a cache or metrics key
+ * @param {string|URL} url - URL to normalize (returned as is when unparseable)
+ * @param {Object} [config] - { steps, trackingParams }, defaults to the environment
+ * @returns {string}
+ */
+export function normalizeUrl(url, config = normalizationConfig()) {
+  let normalized;
+  try {
+    normalized = new URL(url);
+  } catch {
+    return String(url);
+  }
+  const { steps, trackingParams } = config;
+
+  if (steps.includes('tracking')) {
+    [...new Set(normalized.searchParams.keys())]
+      .filter((name) => isTrackingParam(name, trackingParams))
+      .forEach((name) => normalized.searchParams.delete(name));
+  }
+
+  if (steps.includes('sort')) {
+    // Stable: repeated params keep their relative order
+    normalized.searchParams.sort();
+  }
+
+  if (steps.includes('fragment')) {
+    normalized.hash = '';
+  }
+
+  if (steps.includes('slash') && normalized.pathname.length > 1) {
+    normalized.pathname = normalized.pathname.replace(/\/+$/, '') || '/';
+  }
+
+  // No dangling "?" once every param is gone
+  if (!normalized.searchParams.size) {
+    normalized.search = '';
+  }
+
+  return normalized.href;
+}
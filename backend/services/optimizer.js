@@ -7,30 +7,162 @@
  * - Videos and iframes
  * - Fonts
  * - Keeps HTML structure and text content
+ * - Promotes <noscript> fallback content (scripts are always stripped)
+ * - Sanitizes event handlers, javascript: URLs and other active content
+ * - Declares a single <meta charset="utf-8"> (output is always UTF-8)
+ * - Optionally rewrites links so browsing stays in compressed mode
+ * - Optionally extracts the main article content only
+ * - Optionally shrinks the result to fit a byte budget
+ * - Optionally renders Markdown, plain text or structured JSON
  */
 
 import * as cheerio from 'cheerio';
+import { rewriteLinks } from './rewriter.js';
+import { extractArticle as extractMainContent } from './article.js';
+import { formatDocument } from './formatter.js';
+import { applyBudget } from './budget.js';
+import { sanitizeDocument } from './sanitizer.js';
+import { CHARSET_META, isCharsetMeta } from './charset.js';
+
+// Readable defaults injected when CSS is removed
+export const SYSTEM_FONT_STYLE = `
+      <style>
+        * {
+          font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+        }
+        body {
+          background-color: #ffffff !important;
+          color: #000000 !important;
+        }
+      </style>
+    `;
+
+// Placeholder styling for removed images
+export const IMAGE_PLACEHOLDER_STYLE = `
+        background-color: #f0f0f0;
+        min-height: 50px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        color: #666;
+        font-size: 12px;
+        border: 1px dashed #ccc;
+      `;
+
+// Iframe sources treated as embedded video
+export const VIDEO_IFRAME_PATTERN = /youtube|vimeo|video/;
+
+// Font files removed from <link> tags
+export const FONT_LINK_PATTERN = /\.(woff2?|ttf|otf|eot)/;
+
+// Result fields counting what was removed (or promoted/sanitized), by category
+export const REMOVAL_CATEGORIES = {
+  css: 'cssRemoved',
+  images: 'imagesRemoved',
+  videos: 'videosRemoved',
+  fonts: 'fontsRemoved',
+  noscript: 'noscriptPromoted',
+  sanitized: 'sanitized'
+};
+
+/**
+ * Hidden 1x1 images and zero-size iframes used as tracking beacons
+ * @param {string} name - Tag name
+ * @param {Object} attribs - Element attributes
+ * @returns {boolean}
+ */
+export function isTrackingBeacon(name, attribs = {}) {
+  if (name !== 'img' && name !== 'iframe') return false;
+  const tiny = (value) => value != null && parseInt(value, 10) <= 1;
+  return tiny(attribs.width) || tiny(attribs.height) || /display\s*:\s*none/.test(attribs.style || '');
+}
+
+/**
+ * Unwrap <noscript> so its fallback content replaces the stripped scripts
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio document
+ * @returns {number} Number of <noscript> elements promoted
+ */
+function promoteNoscript($) {
+  let promoted = 0;
+
+  $('noscript').each((i, el) => {
+    // Scripting-enabled parsing keeps <noscript> content as raw markup
+    const markup = $(el).text().trim();
+    if (!markup) {
+      $(el).remove();
+      return;
+    }
+
+    const $content = cheerio.load(markup, null, false);
+    $content('img, iframe').each((j, child) => {
+      if (isTrackingBeacon(child.tagName, child.attribs)) {
+        $content(child).remove();
+      }
+    });
+
+    const promotedHTML = $content.html().trim();
+    if (promotedHTML) {
+      $(el).replaceWith(promotedHTML);
+      promoted++;
+    } else {
+      $(el).remove();
+    }
+  });
+
+  return promoted;
+}
 
 /**
  * Optimize HTML by removing specified content
  * @param {string} html - Original HTML
  * @param {Object} options - Optimization options
- * @returns {Promise<{html: string, imagesRemoved: number, cssRemoved: number, videosRemoved: number, fontsRemoved: number}>}
+ * @param {boolean} [options.proxyLinks] - Route links and forms back through the proxy
+ * @param {string} [options.baseUrl] - Final page URL, used to resolve relative links
+ * @param {string} [options.proxyPath] - Proxy route used for rewritten links
+ * @param {boolean} [options.extractArticle] - Keep only the main article content
+ * @param {string} [options.format] - Output format: html, markdown, text or json
+ * @param {number} [options.maxBytes] - Byte budget for the HTML output
+ * @param {boolean} [options.promoteNoscript] - Unwrap <noscript> content instead of removing it
+ * @param {(info: {bytes: number}) => void} [options.onParse] - Called with the input size once the page is parsed, before the removal passes
+ * @returns {Promise<{html: string, output: string, content: string|Object, contentType: string, format: string, imagesRemoved: number, cssRemoved: number, videosRemoved: number, fontsRemoved: number, noscriptPromoted: number, sanitized: number, linksRewritten: number, article: Object|null, budget: Object|null}>}
  */
 export async function optimizeHTML(html, options = {}) {
   const {
     removeCSS = true,
     removeImages = true,
     removeVideos = true,
-    removeFonts = true
+    removeFonts = true,
+    proxyLinks = false,
+    baseUrl = null,
+    proxyPath = '/optimize',
+    extractArticle = false,
+    format = 'html',
+    maxBytes = null,
+    promoteNoscript: promoteFallbacks = true,
+    onParse = () => {}
   } = options;
 
   let $ = cheerio.load(html);
+  onParse({ bytes: Buffer.byteLength(html, 'utf8') });
   
   let imagesRemoved = 0;
   let cssRemoved = 0;
   let videosRemoved = 0;
   let fontsRemoved = 0;
+  let noscriptPromoted = 0;
+  let linksRewritten = 0;
+  let article = null;
+
+  // Scripts are always stripped, so <noscript> fallbacks become the real content.
+  // Done first so promoted images, styles and fonts go through the passes below.
+  if (promoteFallbacks) {
+    noscriptPromoted = promoteNoscript($);
+  }
+
+  // Reduce the page to its main content before anything else is stripped
+  if (extractArticle) {
+    article = extractMainContent($);
+  }
 
   // Remove CSS
   if (removeCSS) {
@@ -54,17 +186,7 @@ export async function optimizeHTML(html, options = {}) {
     });
 
     // Add system font CSS
-    $('head').append(`
-      <style>
-        * {
-          font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
-        }
-        body {
-          background-color: #ffffff !important;
-          color: #000000 !important;
-        }
-      </style>
-    `);
+    $('head').append(SYSTEM_FONT_STYLE);
   }
 
   // Remove/optimize images
@@ -84,16 +206,7 @@ export async function optimizeHTML(html, options = {}) {
       $img.attr('src', '');
       
       // Add placeholder styling
-      $img.attr('style', `
-        background-color: #f0f0f0;
-        min-height: 50px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        color: #666;
-        font-size: 12px;
-        border: 1px dashed #ccc;
-      `);
+      $img.attr('style', IMAGE_PLACEHOLDER_STYLE);
       
       // Show alt text or placeholder
       $img.text(`[Image: ${alt}]`);
@@ -119,7 +232,7 @@ export async function optimizeHTML(html, options = {}) {
     // Remove video iframes (YouTube, Vimeo, etc.)
     $('iframe').each((i, el) => {
       const src = $(el).attr('src') || '';
-      if (src.includes('youtube') || src.includes('vimeo') || src.includes('video')) {
+      if (VIDEO_IFRAME_PATTERN.test(src)) {
         videosRemoved++;
         $(el).remove();
       }
@@ -144,21 +257,55 @@ export async function optimizeHTML(html, options = {}) {
     });
   }
 
+  // Rewrite links so navigation stays inside the proxy
+  if (proxyLinks) {
+    linksRewritten = rewriteLinks($, { baseUrl, proxyPath });
+  }
+
   // Clean up empty elements (optional)
   $('script').remove(); // Remove scripts for security and performance
   $('noscript').remove();
 
+  // Remove every other active-content vector (handlers, javascript: URLs, ...)
+  const sanitized = sanitizeDocument($);
+
+  // The page is decoded already; replace its encoding declarations with UTF-8
+  $('meta').each((i, el) => {
+    if (isCharsetMeta(el.attribs)) {
+      $(el).remove();
+    }
+  });
+  $('head').prepend(CHARSET_META);
+
   // Ensure proper HTML structure
   if (!$('html').length) {
-    html = `<html><head><meta charset="UTF-8"><title>Optimized Page</title></head><body>${html}</body></html>`;
+    html = `<html><head>${CHARSET_META}<title>Optimized Page</title></head><body>${html}</body></html>`;
     $ = cheerio.load(html);
   }
 
+  // Escalate transforms until the page fits the byte budget
+  let budget = null;
+  if (maxBytes) {
+    budget = applyBudget($, maxBytes);
+  }
+
+  // Render the requested format from the same tree
+  const formatted = formatDocument($, format);
+
   return {
-    html: $.html(),
+    html: format === 'html' ? formatted.output : $.html(),
+    output: formatted.output,
+    content: formatted.content,
+    contentType: formatted.contentType,
+    format,
     imagesRemoved,
     cssRemoved,
     videosRemoved,
-    fontsRemoved
+    fontsRemoved,
+    noscriptPromoted,
+    sanitized,
+    linksRewritten,
+    article,
+    budget
   };
 }
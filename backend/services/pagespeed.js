@@ -3,13 +3,85 @@
  *
  * Note: Works without an API key but is rate-limited.
  * If you set PAGESPEED_API_KEY in env, it will use it.
+ * Set PAGESPEED_ENDPOINT to use another runPagespeed endpoint (e.g. a local
+ * stand-in for offline tests).
+ *
+ * Failing Lighthouse performance audits are returned as opportunities (with
+ * their estimated savings) and diagnostics, in the same shape as audit.js.
+ * comparePageSpeed gives the score and metric deltas between two runs.
  */
 
 import axios from 'axios';
 
+export const PAGESPEED_ENDPOINT = process.env.PAGESPEED_ENDPOINT ||
+  'https://www.googleapis.com/pagespeedonline/v5/runPagespeed';
+
+export const PAGESPEED_STRATEGIES = ['mobile', 'desktop'];
+
+// Items listed per opportunity or diagnostic
+const MAX_ITEMS = 20;
+
+// Audit refs of the performance category that are not opportunities or diagnostics
+const SKIPPED_GROUPS = ['metrics', 'hidden'];
+
+// Audits without a pass/fail score
+const UNSCORED_MODES = ['notApplicable', 'manual', 'informative', 'error'];
+
+/**
+ * Opportunity or diagnostic entry for a failing audit
+ */
+function describeAudit(audit) {
+  const details = audit.details || {};
+  const metricSavings = audit.metricSavings || {};
+  const savingsMs = details.overallSavingsMs ?? metricSavings.LCP ?? metricSavings.FCP ?? null;
+
+  return {
+    id: audit.id,
+    title: audit.title,
+    description: audit.description,
+    score: audit.score,
+    displayValue: audit.displayValue ?? null,
+    savingsMs: savingsMs != null ? Math.round(savingsMs) : null,
+    savingsBytes: details.overallSavingsBytes ?? null,
+    items: (details.items || []).slice(0, MAX_ITEMS)
+  };
+}
+
+/**
+ * Failing performance audits, split into opportunities (largest savings
+ * first) and diagnostics
+ */
+function collectFindings(lighthouse) {
+  const audits = lighthouse?.audits || {};
+  const refs = lighthouse?.categories?.performance?.auditRefs || [];
+  const opportunities = [];
+  const diagnostics = [];
+
+  refs
+    .filter((ref) => !SKIPPED_GROUPS.includes(ref.group))
+    .forEach((ref) => {
+      const audit = audits[ref.id];
+      if (!audit || audit.score == null || audit.score >= 1) return;
+      if (UNSCORED_MODES.includes(audit.scoreDisplayMode)) return;
+
+      const finding = describeAudit(audit);
+      const isOpportunity = audit.details?.type === 'opportunity' || ref.group === 'load-opportunities';
+      (isOpportunity ? opportunities : diagnostics).push(finding);
+    });
+
+  opportunities.sort((a, b) => (b.savingsMs ?? 0) - (a.savingsMs ?? 0) || (b.savingsBytes ?? 0) - (a.savingsBytes ?? 0));
+  return { opportunities, diagnostics };
+}
+
+/**
+ * Run PageSpeed Insights for one strategy
+ * @param {string} url - Page URL
+ * @param {string} [strategy] - mobile or desktop
+ * @returns {Promise<Object>} { url, strategy, performanceScore, metrics,
+ *   display, opportunities, diagnostics, fetchedAt }
+ */
 export async function runPageSpeed(url, strategy = 'mobile') {
   const key = process.env.PAGESPEED_API_KEY;
-  const endpoint = 'https://www.googleapis.com/pagespeedonline/v5/runPagespeed';
 
   const params = {
     url,
@@ -17,7 +89,7 @@ export async function runPageSpeed(url, strategy = 'mobile') {
   };
   if (key) params.key = key;
 
-  const res = await axios.get(endpoint, { params, timeout: 30000 });
+  const res = await axios.get(PAGESPEED_ENDPOINT, { params, timeout: 30000 });
   const data = res.data;
 
   const lighthouse = data?.lighthouseResult;
@@ -47,6 +119,28 @@ export async function runPageSpeed(url, strategy = 'mobile') {
       cls: pick('cumulative-layout-shift'),
       si: pick('speed-index'),
     },
+    ...collectFindings(lighthouse),
+    fetchedAt: lighthouse?.fetchTime || new Date().toISOString(),
   };
 }
 
+/**
+ * Score and metric deltas from one run to another (after minus before), null
+ * where either run has no value. Negative metric deltas are improvements.
+ * @param {Object} before - runPageSpeed result, e.g. the original page
+ * @param {Object} after - runPageSpeed result, e.g. the optimized page
+ * @returns {{performanceScore: number|null, metrics: Object}}
+ */
+export function comparePageSpeed(before, after) {
+  const delta = (from, to) => (from != null && to != null
+    ? Math.round((to - from) * 1000) / 1000
+    : null);
+
+  return {
+    performanceScore: delta(before.performanceScore, after.performanceScore),
+    metrics: Object.fromEntries(Object.keys(before.metrics).map((name) => [
+      name,
+      delta(before.metrics[name], after.metrics?.[name])
+    ])),
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * Link Rewriter Service
+ *
+ * Keeps a browsing session inside Compressor:
+ * - Anchors point back at the /optimize proxy route
+ * - GET forms submit through the proxy route
+ * - Relative URLs are resolved against the final URL (after redirects)
+ */
+
+// Schemes that must never be rewritten or resolved
+const SKIP_PATTERN = /^(#|data:|javascript:|mailto:|tel:|about:|blob:)/i;
+
+// Attributes holding a single URL that should become absolute
+export const URL_ATTRIBUTES = ['src', 'href', 'poster', 'data-original-src', 'action'];
+
+/**
+ * Build the proxy URL for a target page
+ * @param {string} target - Absolute target URL
+ * @param {string} proxyPath - Proxy route (e.g. /optimize)
+ * @returns {string}
+ */
+export function buildProxyUrl(target, proxyPath = '/optimize') {
+  return `${proxyPath}?url=${encodeURIComponent(target)}`;
+}
+
+/**
+ * Resolve a URL against a base, returning null when it can't or shouldn't be
+ * @param {string} value - Raw attribute value
+ * @param {string} base - Base URL
+ * @returns {string|null}
+ */
+export function resolveUrl(value, base) {
+  const trimmed = (value || '').trim();
+  if (!trimmed || SKIP_PATTERN.test(trimmed)) return null;
+
+  try {
+    return new URL(trimmed, base).href;
+  } catch {
+    return null;
+  }
+}
+
+function isHttp(url) {
+  return url.startsWith('http://') || url.startsWith('https://');
+}
+
+/**
+ * Rewrite an anchor href
+ * @param {string} href - Raw href
+ * @param {string} base - Base URL
+ * @param {string} proxyPath - Proxy route
+ * @returns {{href: string, proxied: boolean}|null} null when the href is left alone
+ */
+export function rewriteHref(href, base, proxyPath = '/optimize') {
+  const absolute = resolveUrl(href, base);
+  if (!absolute || !isHttp(absolute)) return null;
+
+  // In-page fragments stay local
+  const target = new URL(absolute);
+  const page = new URL(base);
+  if (target.hash && target.origin === page.origin &&
+      target.pathname === page.pathname && target.search === page.search) {
+    return { href: target.hash, proxied: false };
+  }
+
+  return { href: buildProxyUrl(absolute, proxyPath), proxied: true };
+}
+
+/**
+ * Rewrite a form target. GET forms submit through the proxy with the real
+ * target in a hidden _url field; other methods are made absolute.
+ * @param {string} action - Raw action
+ * @param {string} method - Form method
+ * @param {string} base - Base URL
+ * @param {string} proxyPath - Proxy route
+ * @returns {{action: string, target: string|null}} target is set when proxied
+ */
+export function rewriteFormAction(action, method, base, proxyPath = '/optimize') {
+  const absolute = resolveUrl(action || base, base) || base;
+
+  if ((method || 'get').toLowerCase() !== 'get' || !isHttp(absolute)) {
+    return { action: absolute, target: null };
+  }
+  return { action: proxyPath, target: absolute };
+}
+
+/**
+ * Resolve every candidate in a srcset
+ * @param {string} srcset - Raw srcset
+ * @param {string} base - Base URL
+ * @returns {string}
+ */
+export function resolveSrcset(srcset, base) {
+  return (srcset || '')
+    .split(',')
+    .map((candidate) => {
+      const [src, ...descriptor] = candidate.trim().split(/\s+/);
+      const absolute = resolveUrl(src, base) || src;
+      return [absolute, ...descriptor].join(' ');
+    })
+    .join(', ');
+}
+
+/**
+ * Rewrite links in a loaded cheerio document
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio document
+ * @param {Object} options - Rewrite options
+ * @param {string} options.baseUrl - Final page URL after redirects
+ * @param {string} [options.proxyPath] - Proxy route for anchors and forms
+ * @returns {number} Number of anchors and forms routed through the proxy
+ */
+export function rewriteLinks($, options = {}) {
+  const { baseUrl, proxyPath = '/optimize' } = options;
+  if (!baseUrl) return 0;
+
+  // Honour <base href>, then drop it so it can't break proxied links
+  let base = baseUrl;
+  const baseHref = $('base[href]').first().attr('href');
+  if (baseHref) {
+    base = resolveUrl(baseHref, baseUrl) || baseUrl;
+  }
+  $('base').remove();
+
+  let rewritten = 0;
+
+  // Anchors and image-map areas go back through the proxy
+  $('a[href], area[href]').each((i, el) => {
+    const $el = $(el);
+    const result = rewriteHref($el.attr('href'), base, proxyPath);
+    if (!result) return;
+
+    $el.attr('href', result.href);
+    if (result.proxied) {
+      $el.removeAttr('target');
+      rewritten++;
+    }
+  });
+
+  $('form').each((i, el) => {
+    const $form = $(el);
+    const { action, target } = rewriteFormAction($form.attr('action'), $form.attr('method'), base, proxyPath);
+    $form.attr('action', action);
+    if (!target) return;
+
+    $form.attr('method', 'get');
+    $form.prepend('<input type="hidden" name="_form" value="1">');
+    $form.prepend($('<input type="hidden" name="_url">').attr('value', target));
+    rewritten++;
+  });
+
+  // Everything else that references a URL becomes absolute
+  URL_ATTRIBUTES.forEach((attr) => {
+    $(`[${attr}]`).not('a, area, form').each((i, el) => {
+      const $el = $(el);
+      const absolute = resolveUrl($el.attr(attr), base);
+      if (absolute) {
+        $el.attr(attr, absolute);
+      }
+    });
+  });
+
+  $('[srcset]').each((i, el) => {
+    $(el).attr('srcset', resolveSrcset($(el).attr('srcset'), base));
+  });
+
+  return rewritten;
+}
@@ -0,0 +1,147 @@
+/**
+ * Sanitizer Service
+ *
+ * Removes active content that could still run when an optimized page is
+ * served from our origin:
+ * - Inline event handlers (onclick, onload, onerror, ...)
+ * - javascript:, vbscript: and data:text/html URLs
+ * - <meta http-equiv="refresh">, plugins (<object>, <embed>, <applet>)
+ * - iframe srcdoc, HTML imports and SVG animations that target links
+ * - CSS expressions and bindings in style attributes and <style> tags
+ * - Markup inside <style> in SVG/MathML, where browsers parse it as elements
+ *
+ * <script> itself is removed by the optimizer.
+ */
+
+// Attributes that hold a URL the browser may navigate to or load
+const URL_ATTRIBUTES = new Set([
+  'href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'background',
+  'lowsrc', 'dynsrc', 'data', 'codebase', 'cite', 'longdesc', 'ping', 'srcset'
+]);
+
+// Elements that are always dropped
+const ACTIVE_ELEMENTS = new Set(['script', 'object', 'embed', 'applet']);
+
+const DANGEROUS_URL_PATTERN = /^(javascript|vbscript|livescript):|^data:(text\/html|application\/(x-)?javascript|text\/javascript)/;
+const DANGEROUS_CSS_PATTERN = /expression\s*\(|javascript:|vbscript:|-moz-binding|behavior\s*:/i;
+
+// A single CDATA section, which stays text in SVG/MathML
+const CDATA_SECTION_PATTERN = /^\s*<!\[CDATA\[(?:(?!\]\]>)[\s\S])*\]\]>\s*$/;
+
+/**
+ * Normalise a URL the way a browser would before reading its scheme
+ */
+function isDangerousUrl(value) {
+  const normalised = (value || '').replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+  return DANGEROUS_URL_PATTERN.test(normalised);
+}
+
+/**
+ * Whether an element must be removed entirely
+ * @param {string} name - Tag name (lower case)
+ * @param {Object} attribs - Element attributes
+ * @returns {boolean}
+ */
+export function isActiveElement(name, attribs = {}) {
+  if (ACTIVE_ELEMENTS.has(name)) return true;
+
+  if (name === 'meta' && (attribs['http-equiv'] || '').toLowerCase() === 'refresh') return true;
+
+  if (name === 'link' && /(^|\s)import(\s|$)/i.test(attribs.rel || '')) return true;
+
+  // SVG animations can rewrite href to javascript: after load
+  if ((name === 'animate' || name === 'set') && /href/i.test(attribs.attributename || attribs.attributeName || '')) {
+    return true;
+  }
+
+  if (name === 'base' && isDangerousUrl(attribs.href)) return true;
+
+  return false;
+}
+
+/**
+ * Whether a <style> body contains script-capable CSS
+ * @param {string} css - Stylesheet text
+ * @returns {boolean}
+ */
+export function isDangerousStyle(css) {
+  return DANGEROUS_CSS_PATTERN.test(css || '');
+}
+
+/**
+ * Whether <style> content would be parsed as markup. Inside <svg> and <math>
+ * a <style> is not raw text: browsers turn tags in it into elements.
+ * @param {string} css - Stylesheet text as written in the page
+ * @returns {boolean}
+ */
+export function hasForeignMarkup(css) {
+  const text = css || '';
+  return text.includes('<') && !CDATA_SECTION_PATTERN.test(text);
+}
+
+/**
+ * Strip active attributes from an element (mutates attribs)
+ * @param {string} name - Tag name (lower case)
+ * @param {Object} attribs - Element attributes
+ * @returns {number} Number of attributes removed
+ */
+export function sanitizeAttributes(name, attribs = {}) {
+  let removed = 0;
+
+  Object.keys(attribs).forEach((attr) => {
+    const key = attr.toLowerCase();
+    const value = attribs[attr];
+
+    const isHandler = key.startsWith('on');
+    const isScriptUrl = URL_ATTRIBUTES.has(key) && (
+      key === 'srcset'
+        ? value.split(',').some((candidate) => isDangerousUrl(candidate.trim()))
+        : isDangerousUrl(value)
+    );
+    const isScriptStyle = key === 'style' && isDangerousStyle(value);
+    const isInlineDocument = key === 'srcdoc';
+
+    // SVG <animate>/<set> values that would turn into script URLs
+    const isAnimatedUrl = ['to', 'from', 'values'].includes(key) && isDangerousUrl(value);
+
+    if (isHandler || isScriptUrl || isScriptStyle || isInlineDocument || isAnimatedUrl) {
+      delete attribs[attr];
+      removed++;
+    }
+  });
+
+  return removed;
+}
+
+/**
+ * Sanitize a loaded cheerio document in a single pass
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio document (modified in place)
+ * @returns {number} Number of elements and attributes removed
+ */
+export function sanitizeDocument($) {
+  let sanitized = 0;
+
+  $('*').each((i, el) => {
+    // Skip elements already removed along with an ancestor
+    let root = el;
+    while (root.parent) root = root.parent;
+    if (root.type !== 'root') return;
+
+    const name = el.tagName.toLowerCase();
+    if (isActiveElement(name, el.attribs)) {
+      $(el).remove();
+      sanitized++;
+      return;
+    }
+
+    if (name === 'style' && isDangerousStyle($(el).html())) {
+      $(el).remove();
+      sanitized++;
+      return;
+    }
+
+    sanitized += sanitizeAttributes(name, el.attribs);
+  });
+
+  return sanitized;
+}
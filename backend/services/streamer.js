@@ -0,0 +1,538 @@
+/**
+ * Streaming HTML Optimizer Service
+ *
+ * SAX-style counterpart to optimizeHTML for very large documents:
+ * - Parses input chunk by chunk with htmlparser2 (no DOM is built)
+ * - Emits optimized output as soon as each tag is processed
+ * - Supports the removal options and link rewriting of optimizeHTML,
+ *   with the same removal counters
+ *
+ * Input bytes are decoded from the charset given, or one detected from the
+ * contentType header, a BOM or <meta charset>; output is always UTF-8.
+ *
+ * Where htmlparser2 and browsers parse differently, output errs on the safe
+ * side: the (never rendered) content of <iframe>, <noembed> and <noframes> is
+ * dropped, comments a browser would end early are removed, and attribute
+ * values have < and > escaped.
+ *
+ * Tree-based options (extractArticle, format, maxBytes) need the whole
+ * document and are only available in optimizeHTML.
+ */
+
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { Parser } from 'htmlparser2';
+import {
+  SYSTEM_FONT_STYLE,
+  IMAGE_PLACEHOLDER_STYLE,
+  VIDEO_IFRAME_PATTERN,
+  FONT_LINK_PATTERN,
+  isTrackingBeacon
+} from './optimizer.js';
+import {
+  URL_ATTRIBUTES,
+  resolveUrl,
+  rewriteHref,
+  rewriteFormAction,
+  resolveSrcset
+} from './rewriter.js';
+import { isActiveElement, isDangerousStyle, hasForeignMarkup, sanitizeAttributes } from './sanitizer.js';
+import { SNIFF_BYTES, CHARSET_META, detectCharset, createDecoder, isCharsetMeta } from './charset.js';
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link',
+  'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is SVG/MathML (foreign content) rather than HTML
+const FOREIGN_ELEMENTS = new Set(['svg', 'math']);
+
+// Raw text in browsers, but parsed as markup by htmlparser2: a tag or comment
+// inside could end the element early in a browser, so their content (never
+// rendered) is dropped and only the element kept
+const EMPTIED_ELEMENTS = new Set(['iframe', 'noembed', 'noframes']);
+
+// Comment text that a browser could read as the end of the comment
+const UNSAFE_COMMENT_PATTERN = /^-?>|--!?>|-$/;
+
+// Elements whose text htmlparser2 passes through without decoding entities
+const UNDECODED_TEXT_ELEMENTS = new Set(['textarea', 'xmp']);
+
+// Size of the slices fed to the parser by optimizeHTMLStreaming
+const CHUNK_SIZE = 64 * 1024;
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape undecoded text: entities are already written as in the source, so
+ * only tag delimiters are escaped
+ */
+function escapeTags(text) {
+  return text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function serializeTag(name, attribs) {
+  const attrs = Object.entries(attribs)
+    .map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`)
+    .join('');
+  return `<${name}${attrs}>`;
+}
+
+/**
+ * Transform stream that optimizes HTML as it flows through.
+ * Removal counters are available on `stats` once the stream has ended.
+ */
+export class OptimizerStream extends Transform {
+  /**
+   * @param {Object} options - Same removal and link options as optimizeHTML,
+   *   plus charset (input encoding) or contentType (header to detect it from)
+   */
+  constructor(options = {}) {
+    super({ decodeStrings: true });
+
+    this.options = {
+      removeCSS: true,
+      removeImages: true,
+      removeVideos: true,
+      removeFonts: true,
+      proxyLinks: false,
+      baseUrl: null,
+      proxyPath: '/optimize',
+      promoteNoscript: true,
+      charset: null,
+      contentType: null,
+      ...options
+    };
+
+    this.stats = {
+      imagesRemoved: 0,
+      cssRemoved: 0,
+      videosRemoved: 0,
+      fontsRemoved: 0,
+      noscriptPromoted: 0,
+      sanitized: 0,
+      linksRewritten: 0
+    };
+
+    this.base = this.options.baseUrl;
+    this.skipping = 0;
+    this.emptied = null;
+    this.styleBuffer = null;
+    this.styleOpenTag = null;
+    this.styleInjected = false;
+    this.noscriptDepth = 0;
+    this.noscriptHasContent = false;
+    this.foreignDepth = 0;
+    this.undecodedText = null;
+    this.charsetInjected = false;
+
+    // Without an explicit charset the first bytes are held back for detection
+    this.charset = this.options.charset;
+    this.decoder = this.charset ? createDecoder(this.charset) : null;
+    this.sniffed = [];
+    this.sniffedBytes = 0;
+
+    this.parser = new Parser({
+      onprocessinginstruction: (name, data) => this.output(`<${data}>`),
+      oncomment: (data) => this.comment(data),
+      onopentag: (name, attribs) => this.openTag(name, attribs),
+      ontext: (text) => this.text(text),
+      onclosetag: (name) => this.closeTag(name)
+    }, { decodeEntities: true, lowerCaseTags: true });
+  }
+
+  output(html) {
+    if (html) this.push(html);
+  }
+
+  /**
+   * Decide whether an element (and everything inside it) is dropped
+   */
+  shouldSkip(name, attribs) {
+    const { removeCSS, removeVideos, removeFonts, proxyLinks } = this.options;
+
+    if (name === 'script') return true;
+    if (name === 'noscript') return true;
+
+    // Replaced by a single UTF-8 declaration
+    if (name === 'meta' && isCharsetMeta(attribs)) return true;
+
+    if (isActiveElement(name, attribs)) {
+      this.stats.sanitized++;
+      return true;
+    }
+    if (this.noscriptDepth && isTrackingBeacon(name, attribs)) return true;
+
+    if (removeCSS && name === 'link' && attribs.rel === 'stylesheet') {
+      this.stats.cssRemoved++;
+      return true;
+    }
+    if (removeCSS && name === 'style') {
+      this.stats.cssRemoved++;
+      return true;
+    }
+
+    if (removeVideos && name === 'video') {
+      this.stats.videosRemoved++;
+      return true;
+    }
+    if (removeVideos && name === 'iframe' && VIDEO_IFRAME_PATTERN.test(attribs.src || '')) {
+      this.stats.videosRemoved++;
+      return true;
+    }
+
+    if (removeFonts && name === 'link' && FONT_LINK_PATTERN.test(attribs.href || '')) {
+      this.stats.fontsRemoved++;
+      return true;
+    }
+
+    // <base> only moves the resolution base; it would break proxied links
+    if (proxyLinks && name === 'base') {
+      if (attribs.href && this.base) {
+        this.base = resolveUrl(attribs.href, this.base) || this.base;
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Apply attribute-level optimizations
+   * @returns {string} Extra HTML to emit right after the open tag
+   */
+  transformAttributes(name, attribs) {
+    const { removeCSS, removeImages, proxyLinks, proxyPath } = this.options;
+    let after = '';
+
+    this.stats.sanitized += sanitizeAttributes(name, attribs);
+
+    if (removeCSS) {
+      delete attribs.style;
+    }
+
+    if (removeImages && name === 'img') {
+      this.stats.imagesRemoved++;
+      if (attribs.src) {
+        attribs['data-original-src'] = attribs.src;
+      }
+      attribs.src = '';
+      attribs.style = IMAGE_PLACEHOLDER_STYLE;
+    } else if (removeImages && /background-image|backgroundImage/.test(attribs.style || '')) {
+      attribs.style = `${attribs.style.replace(/;?\s*$/, '')}; background-image: none; background-color: #f0f0f0;`;
+    }
+
+    if (proxyLinks && this.base) {
+      if ((name === 'a' || name === 'area') && attribs.href != null) {
+        const result = rewriteHref(attribs.href, this.base, proxyPath);
+        if (result) {
+          attribs.href = result.href;
+          if (result.proxied) {
+            delete attribs.target;
+            this.stats.linksRewritten++;
+          }
+        }
+      } else if (name === 'form') {
+        const { action, target } = rewriteFormAction(attribs.action, attribs.method, this.base, proxyPath);
+        attribs.action = action;
+        if (target) {
+          attribs.method = 'get';
+          after = `<input type="hidden" name="_url" value="${escapeAttribute(target)}">` +
+            '<input type="hidden" name="_form" value="1">';
+          this.stats.linksRewritten++;
+        }
+      }
+
+      if (name !== 'a' && name !== 'area' && name !== 'form') {
+        URL_ATTRIBUTES.forEach((attr) => {
+          const absolute = attribs[attr] != null ? resolveUrl(attribs[attr], this.base) : null;
+          if (absolute) attribs[attr] = absolute;
+        });
+      }
+      if (attribs.srcset != null) {
+        attribs.srcset = resolveSrcset(attribs.srcset, this.base);
+      }
+    }
+
+    return after;
+  }
+
+  openTag(name, attribs) {
+    if (this.skipping) {
+      this.skipping++;
+      return;
+    }
+    // Unwrap <noscript>: its children are emitted, the wrapper is not
+    if (name === 'noscript' && this.options.promoteNoscript) {
+      if (!this.noscriptDepth) this.noscriptHasContent = false;
+      this.noscriptDepth++;
+      return;
+    }
+    if (this.noscriptDepth && !isTrackingBeacon(name, attribs)) {
+      this.noscriptHasContent = true;
+    }
+
+    if (this.shouldSkip(name, attribs)) {
+      this.skipping = 1;
+      return;
+    }
+
+    const after = this.transformAttributes(name, attribs);
+    if (FOREIGN_ELEMENTS.has(name)) this.foreignDepth++;
+    if (UNDECODED_TEXT_ELEMENTS.has(name)) this.undecodedText = name;
+
+    // <style> is held back until its content has been checked
+    if (name === 'style') {
+      this.styleOpenTag = serializeTag(name, attribs);
+      this.styleBuffer = '';
+      return;
+    }
+
+    this.output(serializeTag(name, attribs) + after);
+
+    if (EMPTIED_ELEMENTS.has(name)) {
+      this.skipping = 1;
+      this.emptied = name;
+      return;
+    }
+
+    // Output is always UTF-8; declare it first thing in the document
+    if ((name === 'head' || name === 'body') && !this.charsetInjected) {
+      this.output(CHARSET_META);
+      this.charsetInjected = true;
+    }
+
+    // No <head> seen: inject the system font styles at the top of <body>
+    if (name === 'body' && this.options.removeCSS && !this.styleInjected) {
+      this.output(SYSTEM_FONT_STYLE);
+      this.styleInjected = true;
+    }
+  }
+
+  comment(data) {
+    if (this.skipping) return;
+
+    // htmlparser2 only ends comments at -->; a browser also ends them at --!>
+    // or an opening > / ->, which would turn the rest into live markup
+    if (UNSAFE_COMMENT_PATTERN.test(data)) {
+      this.stats.sanitized++;
+      return;
+    }
+    this.output(`<!--${data}-->`);
+  }
+
+  text(text) {
+    if (this.skipping) return;
+
+    if (this.styleBuffer != null) {
+      this.styleBuffer += text;
+      return;
+    }
+    if (this.noscriptDepth && text.trim()) this.noscriptHasContent = true;
+
+    // <textarea> text is still entity-encoded; <xmp> is raw text in HTML,
+    // but markup in SVG/MathML
+    if (this.undecodedText) {
+      const raw = this.undecodedText === 'xmp' && !this.foreignDepth;
+      this.output(raw ? text : escapeTags(text));
+      return;
+    }
+    this.output(escapeText(text));
+  }
+
+  closeTag(name) {
+    // Every open tag (void or implied) gets a matching close callback
+    if (this.skipping) {
+      this.skipping--;
+      if (!this.skipping && this.emptied) {
+        this.output(`</${this.emptied}>`);
+        this.emptied = null;
+      }
+      return;
+    }
+
+    if (name === 'noscript' && this.noscriptDepth) {
+      this.noscriptDepth--;
+      if (!this.noscriptDepth && this.noscriptHasContent) this.stats.noscriptPromoted++;
+      return;
+    }
+
+    if (name === 'style' && this.styleBuffer != null) {
+      let content = this.styleBuffer;
+      const openTag = this.styleOpenTag;
+      this.styleBuffer = null;
+      this.styleOpenTag = null;
+
+      // htmlparser2 reads <style> as raw text even in SVG/MathML, where a
+      // browser would parse tags in it
+      if (isDangerousStyle(content) || (this.foreignDepth && hasForeignMarkup(content))) {
+        this.stats.sanitized++;
+        return;
+      }
+      if (this.options.removeFonts && content.includes('@font-face')) {
+        content = content.replace(/@font-face\s*\{[^}]*\}/g, '');
+      }
+      this.output(`${openTag}${content}</style>`);
+      return;
+    }
+
+    if (FOREIGN_ELEMENTS.has(name) && this.foreignDepth) this.foreignDepth--;
+    if (name === this.undecodedText) this.undecodedText = null;
+
+    if (name === 'head' && this.options.removeCSS && !this.styleInjected) {
+      this.output(SYSTEM_FONT_STYLE);
+      this.styleInjected = true;
+    }
+
+    if (!VOID_ELEMENTS.has(name)) {
+      this.output(`</${name}>`);
+    }
+  }
+
+  /**
+   * Pick the input charset from the bytes held back so far
+   * @returns {Buffer} The held-back bytes, to be decoded next
+   */
+  startDecoding() {
+    const buffer = Buffer.concat(this.sniffed);
+    this.sniffed = null;
+    this.charset = detectCharset(buffer, this.options.contentType).charset;
+    this.decoder = createDecoder(this.charset);
+    return buffer;
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      if (!this.decoder) {
+        this.sniffed.push(chunk);
+        this.sniffedBytes += chunk.length;
+        if (this.sniffedBytes < SNIFF_BYTES) return callback();
+        chunk = this.startDecoding();
+      }
+      this.parser.write(this.decoder.write(chunk));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      const rest = this.decoder ? Buffer.alloc(0) : this.startDecoding();
+      this.parser.write(this.decoder.write(rest) + this.decoder.end());
+      this.parser.end();
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+/**
+ * Create a streaming optimizer
+ * @param {Object} options - Same removal and link options as optimizeHTML
+ * @returns {OptimizerStream}
+ */
+export function createOptimizerStream(options = {}) {
+  return new OptimizerStream(options);
+}
+
+/**
+ * Optimize an HTML string with the streaming optimizer, yielding to the
+ * event loop between chunks so large pages don't block other requests
+ * @param {string} html - Original HTML
+ * @param {Object} options - Same removal and link options as optimizeHTML,
+ *   and onParse (parsing and removal are one pass here, so it is called before
+ *   the first chunk is written)
+ * @returns {Promise<{html: string, output: string, content: string, contentType: string, format: string, imagesRemoved: number, cssRemoved: number, videosRemoved: number, fontsRemoved: number, linksRewritten: number}>}
+ */
+export async function optimizeHTMLStreaming(html, options = {}) {
+  const { onParse = () => {}, ...streamOptions } = options;
+  // Already decoded: written back as UTF-8
+  const stream = createOptimizerStream({ ...streamOptions, charset: 'utf-8' });
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+
+  const done = new Promise((resolve, reject) => {
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
+
+  onParse({ bytes: Buffer.byteLength(html, 'utf8') });
+  for (let offset = 0; offset < html.length;) {
+    let end = Math.min(offset + CHUNK_SIZE, html.length);
+    // Don't split a surrogate pair across chunks
+    if (end < html.length && /[\uD800-\uDBFF]/.test(html[end - 1])) end--;
+    stream.write(html.slice(offset, end));
+    offset = end;
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  stream.end();
+  await done;
+
+  const output = Buffer.concat(chunks).toString('utf8');
+  return {
+    html: output,
+    output,
+    content: output,
+    contentType: 'text/html; charset=utf-8',
+    format: 'html',
+    ...stream.stats,
+    article: null,
+    budget: null
+  };
+}
+
+/**
+ * Optimize a downloading body into sink as bytes arrive, keeping the
+ * original and the output for caching and metrics
+ * @param {import('stream').Readable} source - Raw body, e.g. from fetchWebsiteStream
+ * @param {import('stream').Writable} sink - Receives the optimized bytes
+ * @param {Object} options - Same options as createOptimizerStream
+ * @returns {Promise<{original: string, originalSize: number, charset: string, receivedAt: number, html: string, output: string, content: string, contentType: string, format: string, imagesRemoved: number, cssRemoved: number, videosRemoved: number, fontsRemoved: number, linksRewritten: number}>}
+ *   receivedAt is when the last source byte arrived
+ */
+export async function optimizeIntoStream(source, sink, options = {}) {
+  const stream = createOptimizerStream(options);
+  const received = [];
+  const chunks = [];
+  let receivedAt = null;
+
+  const tap = new Transform({
+    transform(chunk, encoding, callback) {
+      received.push(chunk);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      receivedAt = Date.now();
+      callback();
+    }
+  });
+  stream.on('data', (chunk) => chunks.push(chunk));
+
+  await pipeline(source, tap, stream, sink);
+
+  const body = Buffer.concat(received);
+  const output = Buffer.concat(chunks).toString('utf8');
+  return {
+    original: new TextDecoder(stream.charset).decode(body),
+    originalSize: body.length,
+    charset: stream.charset,
+    receivedAt,
+    html: output,
+    output,
+    content: output,
+    contentType: 'text/html; charset=utf-8',
+    format: 'html',
+    ...stream.stats,
+    article: null,
+    budget: null
+  };
+}
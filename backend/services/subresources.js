@@ -0,0 +1,218 @@
+/**
+ * Subresource Service
+ *
+ * Finds the subresources a page loads and measures what removing them saves:
+ * - Stylesheets, scripts, images, media, fonts and frames are found in the markup
+ * - Sizes come from HEAD requests, or a one-byte ranged GET when HEAD gives none
+ * - Requests run under a concurrency limit and go through the SSRF guard
+ * - Bytes are reported per category, split into avoided (removed by the
+ *   optimizer) and kept
+ *
+ * Sizes are transfer sizes (Content-Length), so compressed responses count
+ * as sent over the wire.
+ */
+
+import axios from 'axios';
+import { Parser } from 'htmlparser2';
+import { assertFetchableUrl, guardedAgents, guardRedirect } from './guard.js';
+import { resolveUrl } from './rewriter.js';
+import { USER_AGENT } from './fetcher.js';
+
+export const SUBRESOURCE_CATEGORIES = ['css', 'images', 'videos', 'fonts', 'scripts', 'frames', 'other'];
+
+// Requests in flight at once while measuring one page
+export const SUBRESOURCE_CONCURRENCY = parseInt(process.env.SUBRESOURCE_CONCURRENCY, 10) || 6;
+
+// Subresources measured per page; the rest are counted but not measured
+export const MAX_SUBRESOURCES = parseInt(process.env.MAX_SUBRESOURCES, 10) || 100;
+
+const REQUEST_CONFIG = {
+  timeout: 5000,
+  maxRedirects: 5,
+  headers: {
+    'User-Agent': USER_AGENT,
+    'Accept': '*/*'
+  },
+  validateStatus: () => true, // Status codes are inspected below
+  ...guardedAgents,
+  beforeRedirect: guardRedirect,
+  responseType: 'stream' // Never buffered: only headers are read
+};
+
+// Category of the element that loads a subresource, by tag and attribute
+const ELEMENT_CATEGORIES = {
+  script: { src: 'scripts' },
+  img: { src: 'images' },
+  video: { src: 'videos', poster: 'images' },
+  audio: { src: 'videos' },
+  source: { src: 'videos' },
+  track: { src: 'videos' },
+  iframe: { src: 'frames' },
+  embed: { src: 'frames' },
+  object: { data: 'frames' }
+};
+
+// <link rel> values that make the browser fetch the href
+const FETCHED_LINK_RELS = ['stylesheet', 'preload', 'modulepreload', 'icon'];
+
+// Preload `as` values, by category
+const PRELOAD_CATEGORIES = { style: 'css', script: 'scripts', font: 'fonts', image: 'images', video: 'videos', audio: 'videos' };
+
+const FONT_PATTERN = /\.(woff2?|ttf|otf|eot)(\?|#|$)/i;
+
+function linkCategory(rels, attribs) {
+  if (rels.includes('stylesheet')) return 'css';
+  if (rels.includes('icon')) return 'images';
+  if (rels.includes('modulepreload')) return 'scripts';
+  if (FONT_PATTERN.test(attribs.href || '')) return 'fonts';
+  return PRELOAD_CATEGORIES[(attribs.as || '').toLowerCase()] || 'other';
+}
+
+/**
+ * Subresources a document loads, deduplicated by URL. Content inside
+ * <noscript> is ignored, as a browser with scripting would.
+ * @param {string} html - Document markup
+ * @param {string} [baseUrl] - Page URL; when given, URLs are made absolute and
+ *   only http(s) ones are kept
+ * @returns {{url: string, category: string}[]}
+ */
+export function findSubresources(html, baseUrl = null) {
+  const found = new Map();
+  let noscriptDepth = 0;
+
+  const add = (value, category) => {
+    let url = (value || '').trim();
+    if (!url || /^(data|blob|about|javascript):/i.test(url)) return;
+    if (baseUrl) {
+      url = resolveUrl(url, baseUrl);
+      if (!url || !/^https?:/.test(url)) return;
+    }
+    if (!found.has(url)) found.set(url, { url, category });
+  };
+
+  const parser = new Parser({
+    onopentag(name, attribs) {
+      if (name === 'noscript') noscriptDepth++;
+      if (noscriptDepth) return;
+
+      if (name === 'link') {
+        const rels = (attribs.rel || '').toLowerCase().split(/\s+/);
+        if (rels.some((rel) => FETCHED_LINK_RELS.includes(rel))) add(attribs.href, linkCategory(rels, attribs));
+        return;
+      }
+      Object.entries(ELEMENT_CATEGORIES[name] || {})
+        .forEach(([attribute, category]) => add(attribs[attribute], category));
+    },
+    onclosetag(name) {
+      if (name === 'noscript' && noscriptDepth) noscriptDepth--;
+    }
+  }, { decodeEntities: true });
+
+  parser.write(html);
+  parser.end();
+  return [...found.values()];
+}
+
+/**
+ * Total size from a Content-Range header ("bytes 0-0/12345")
+ */
+function rangeTotal(header) {
+  const match = String(header || '').match(/\/(\d+)\s*$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function contentLength(response) {
+  const length = parseInt(response.headers['content-length'], 10);
+  return Number.isFinite(length) ? length : null;
+}
+
+/**
+ * Size of one subresource, or null when the server won't tell
+ * @param {string} url - Absolute subresource URL
+ * @returns {Promise<number|null>}
+ * @throws {BlockedUrlError} When the URL or a redirect targets a disallowed address
+ */
+export async function fetchSize(url) {
+  assertFetchableUrl(url);
+
+  const head = await axios.head(url, REQUEST_CONFIG);
+  head.data.destroy();
+  const headLength = head.status < 300 ? contentLength(head) : null;
+  if (headLength) return headLength;
+
+  // No usable HEAD answer: ask for one byte and read the total from Content-Range
+  const ranged = await axios.get(url, {
+    ...REQUEST_CONFIG,
+    headers: { ...REQUEST_CONFIG.headers, Range: 'bytes=0-0' }
+  });
+  ranged.data.destroy();
+  if (ranged.status === 206) return rangeTotal(ranged.headers['content-range']);
+  if (ranged.status < 300) return contentLength(ranged);
+  return null;
+}
+
+/**
+ * Run task for every item, at most `concurrency` at a time
+ */
+async function forEachLimit(items, concurrency, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+/**
+ * Measure the subresources of the original page and what the optimizer avoided
+ * @param {string} originalHTML - Page as fetched
+ * @param {string} optimizedHTML - Optimized output
+ * @param {string} baseUrl - Final page URL
+ * @param {Object} [options] - { concurrency, limit }
+ * @returns {Promise<Object>} Totals and byCategory, each with requests,
+ *   avoidedRequests, bytes and avoidedBytes (bytes count measured resources only)
+ */
+export async function measureSubresources(originalHTML, optimizedHTML, baseUrl, options = {}) {
+  const { concurrency = SUBRESOURCE_CONCURRENCY, limit = MAX_SUBRESOURCES } = options;
+
+  const kept = new Set(findSubresources(optimizedHTML, baseUrl).map((resource) => resource.url));
+  const resources = findSubresources(originalHTML, baseUrl).map((resource) => ({
+    ...resource,
+    avoided: !kept.has(resource.url),
+    bytes: null
+  }));
+
+  // Removed subresources are the interesting ones, so they are measured first
+  const toMeasure = [...resources].sort((a, b) => b.avoided - a.avoided).slice(0, limit);
+  await forEachLimit(toMeasure, concurrency, async (resource) => {
+    try {
+      resource.bytes = await fetchSize(resource.url);
+    } catch {
+      resource.bytes = null; // Blocked, unreachable or timed out
+    }
+  });
+
+  const emptyTotals = () => ({ requests: 0, avoidedRequests: 0, bytes: 0, avoidedBytes: 0 });
+  const totals = emptyTotals();
+  const byCategory = Object.fromEntries(SUBRESOURCE_CATEGORIES.map((category) => [category, emptyTotals()]));
+
+  resources.forEach((resource) => {
+    [totals, byCategory[resource.category]].forEach((bucket) => {
+      bucket.requests++;
+      bucket.bytes += resource.bytes || 0;
+      if (resource.avoided) {
+        bucket.avoidedRequests++;
+        bucket.avoidedBytes += resource.bytes || 0;
+      }
+    });
+  });
+
+  return {
+    ...totals,
+    keptBytes: totals.bytes - totals.avoidedBytes,
+    measured: resources.filter((resource) => resource.bytes != null).length,
+    unmeasured: resources.filter((resource) => resource.bytes == null).length,
+    byCategory
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * API key store tests (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ApiKeyStore } from '../services/apikeys.js';
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+  return { store: new ApiKeyStore({ file: path.join(dir, 'keys.json') }), dir };
+}
+
+test('reserves units only when they all fit the daily quota', () => {
+  const { store, dir } = tempStore();
+  try {
+    const { record } = store.issue({ name: 'ci', dailyQuota: 10 });
+
+    const first = store.consume(record, 8);
+    assert.equal(first.allowed, true);
+    assert.equal(first.remaining, 2);
+
+    const second = store.consume(record, 3);
+    assert.equal(second.allowed, false);
+    assert.equal(second.remaining, 2);
+    assert.equal(record.usage.today, 8);
+    assert.equal(record.usage.total, 8);
+  } finally {
+    store.flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('refunds unused units so they can be reserved again', () => {
+  const { store, dir } = tempStore();
+  try {
+    const { record } = store.issue({ dailyQuota: 10 });
+    const { day } = store.consume(record, 10);
+    assert.equal(store.consume(record, 1).allowed, false);
+
+    store.refund(record, 4, day);
+    assert.equal(record.usage.today, 6);
+    assert.equal(record.usage.total, 6);
+    assert.equal(store.consume(record, 4).allowed, true);
+
+    store.refund(record, 0, day);
+    store.refund(record, -3, day);
+    assert.equal(record.usage.today, 10);
+  } finally {
+    store.flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a refund for an earlier day only leaves the total', () => {
+  const { store, dir } = tempStore();
+  try {
+    const { record } = store.issue({ dailyQuota: 10 });
+    const { day } = store.consume(record, 5);
+
+    store.refund(record, 2, '2000-01-01');
+    assert.equal(record.usage.today, 5);
+    assert.equal(record.usage.total, 3);
+
+    store.refund(record, 50, day);
+    assert.equal(record.usage.today, 0);
+    assert.equal(record.usage.total, 0);
+  } finally {
+    store.flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('unlimited keys are never refused and saved usage survives a reload', () => {
+  const { store, dir } = tempStore();
+  try {
+    const { key, record } = store.issue({ dailyQuota: 0 });
+    const quota = store.consume(record, 1e6);
+    assert.equal(quota.allowed, true);
+    assert.equal(quota.remaining, null);
+
+    store.flush();
+    const reloaded = new ApiKeyStore({ file: store.file });
+    assert.equal(reloaded.find(key).usage.total, 1e6);
+    assert.equal(reloaded.find('cmp_unknown'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
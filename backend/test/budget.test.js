@@ -0,0 +1,52 @@
+/**
+ * Byte budget tests (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { applyBudget, MAX_PARTS } from '../services/budget.js';
+
+function page(paragraphs, head = '<title>t</title>') {
+  const body = Array.from({ length: paragraphs }, (_, i) => `<p>Paragraph ${i} lorem ipsum dolor sit amet</p>`).join('');
+  return `<html><head>${head}</head><body>${body}</body></html>`;
+}
+
+test('leaves a page that already fits untouched', () => {
+  const $ = cheerio.load(page(3));
+  const result = applyBudget($, 10000);
+
+  assert.equal(result.fits, true);
+  assert.deepEqual(result.steps, []);
+  assert.equal(result.parts, null);
+});
+
+test('splits the body into pages that each fit', () => {
+  const $ = cheerio.load(page(200));
+  const result = applyBudget($, 2000);
+
+  assert.equal(result.fits, true);
+  assert.ok(result.parts.length > 1);
+  result.parts.forEach((part) => assert.ok(Buffer.byteLength(part) <= 2000));
+
+  const text = result.parts.map((part) => cheerio.load(part)('body').text()).join('');
+  assert.match(text, /^Paragraph 0 .*Paragraph 199 lorem ipsum dolor sit amet$/);
+});
+
+test(`stops at ${MAX_PARTS} pages and reports that the page does not fit`, () => {
+  const $ = cheerio.load(page(5000));
+  const result = applyBudget($, 1024);
+
+  assert.equal(result.parts.length, MAX_PARTS);
+  assert.equal(result.fits, false);
+  assert.match(cheerio.load(result.parts.at(-1))('body').text(), /Paragraph 4999 /);
+});
+
+test('does not split when the head alone exceeds the budget', () => {
+  const $ = cheerio.load(page(50, `<title>${'x'.repeat(4000)}</title>`));
+  const result = applyBudget($, 2000);
+
+  assert.equal(result.parts, null);
+  assert.equal(result.fits, false);
+  assert.equal(result.steps.some((step) => step.step === 'split'), false);
+});
@@ -0,0 +1,82 @@
+/**
+ * Cache tests (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileCache, MemoryCache } from '../services/cache.js';
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'compressor-cache-'));
+}
+
+/**
+ * Wait for the background file operations of a cache
+ */
+async function settle(cache) {
+  await Promise.all(cache.operations.values());
+}
+
+test('memory cache get resolves to the stored value', async () => {
+  const cache = new MemoryCache({ name: 'test' });
+  cache.set('a', { html: '<p>a</p>' });
+
+  assert.deepEqual(await cache.get('a'), { html: '<p>a</p>' });
+  assert.equal(await cache.get('missing'), undefined);
+});
+
+test('file cache serves a value before its file is written', async () => {
+  const dir = tempDir();
+  const cache = new FileCache({ name: 'test', dir });
+  cache.set('a', { html: '<p>a</p>' });
+
+  assert.deepEqual(await cache.get('a'), { html: '<p>a</p>' });
+  await settle(cache);
+
+  // A new instance reads the entry back from disk
+  const reopened = new FileCache({ name: 'test', dir });
+  assert.deepEqual(await reopened.get('a'), { html: '<p>a</p>' });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('file cache deletes run after pending writes', async () => {
+  const dir = tempDir();
+  const cache = new FileCache({ name: 'test', dir });
+  cache.set('a', { n: 1 });
+  cache.del('a');
+  cache.set('b', { n: 2 });
+  await settle(cache);
+
+  const reopened = new FileCache({ name: 'test', dir });
+  assert.equal(await reopened.get('a'), undefined);
+  assert.deepEqual(await reopened.get('b'), { n: 2 });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('file cache drops an entry whose write fails', async () => {
+  const dir = tempDir();
+  const cache = new FileCache({ name: 'test', dir });
+  fs.rmSync(cache.dir, { recursive: true, force: true });
+
+  cache.set('a', { n: 1 });
+  await settle(cache);
+
+  assert.equal(cache.has('a'), false);
+  assert.equal(await cache.get('a'), undefined);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('purgeValues removes entries whose value matches', async () => {
+  const dir = tempDir();
+  const cache = new FileCache({ name: 'test', dir });
+  cache.set('a', { url: 'https://example.com/a' });
+  cache.set('b', { url: 'https://example.net/b' });
+  await settle(cache);
+
+  assert.equal(await cache.purgeValues((value) => value.url.startsWith('https://example.com/')), 1);
+  assert.deepEqual(cache.keys(), ['b']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,67 @@
+/**
+ * Site crawler tests (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractLinks, parseSitemap, buildReport } from '../services/crawler.js';
+
+test('extracts same-origin page links without fragments, assets or nofollow', () => {
+  const html = `
+    <a href="/about#team">About</a>
+    <a href="/about">About again</a>
+    <a href="contact">Contact</a>
+    <a href="https://www.example.com/blog">Blog</a>
+    <a href="https://other.test/">Elsewhere</a>
+    <a href="/brochure.pdf">Brochure</a>
+    <a href="/login" rel="nofollow">Log in</a>
+    <a href="javascript:alert(1)">Script</a>
+    <map><area href="/map" alt="Map"></map>`;
+  const origins = new Set(['https://example.com', 'https://www.example.com']);
+
+  assert.deepEqual(extractLinks(html, 'https://example.com/docs/', origins), [
+    'https://example.com/about',
+    'https://example.com/docs/contact',
+    'https://www.example.com/blog',
+    'https://example.com/map'
+  ]);
+});
+
+test('parses sitemaps and sitemap indexes', () => {
+  const urlset = `<?xml version="1.0"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <url><loc> https://example.com/ </loc></url>
+      <url><loc>https://example.com/a</loc></url>
+      <url><loc></loc></url>
+    </urlset>`;
+  const index = `<?xml version="1.0"?>
+    <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <sitemap><loc>https://example.com/pages.xml</loc></sitemap>
+    </sitemapindex>`;
+
+  assert.deepEqual(parseSitemap(urlset), { pages: ['https://example.com/', 'https://example.com/a'], sitemaps: [] });
+  assert.deepEqual(parseSitemap(index), { pages: [], sitemaps: ['https://example.com/pages.xml'] });
+});
+
+test('reports totals over finished pages only, heaviest first', () => {
+  const removals = (count) => ({ css: count, images: count, videos: 0, fonts: 0, noscript: 0, sanitized: 0 });
+  const page = (url, beforeSize, afterSize, status = 'done') => ({
+    url, status, beforeSize, afterSize, sizeReductionPercent: 0, removals: removals(1)
+  });
+
+  const report = buildReport([
+    page('https://example.com/', 1000, 400),
+    page('https://example.com/a', 3000, 600),
+    page('https://example.com/b', 0, 0, 'failed')
+  ]);
+
+  assert.equal(report.pagesOptimized, 2);
+  assert.equal(report.bytesBefore, 4000);
+  assert.equal(report.bytesAfter, 1000);
+  assert.equal(report.bytesSaved, 3000);
+  assert.equal(report.sizeReductionPercent, 75);
+  assert.equal(report.removals.css, 2);
+  assert.deepEqual(report.worstPages.map((entry) => entry.url), ['https://example.com/a', 'https://example.com/']);
+
+  assert.equal(buildReport([]).sizeReductionPercent, 0);
+});
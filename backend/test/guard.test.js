@@ -0,0 +1,118 @@
+/**
+ * SSRF guard tests (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+  BlockedUrlError,
+  isPrivateAddress,
+  isAllowlisted,
+  assertFetchableUrl,
+  guardedLookup
+} from '../services/guard.js';
+import { fetchWebsite } from '../services/fetcher.js';
+
+/**
+ * Run fn with FETCH_ALLOWLIST set, restoring it afterwards
+ */
+async function withAllowlist(value, fn) {
+  const previous = process.env.FETCH_ALLOWLIST;
+  process.env.FETCH_ALLOWLIST = value;
+  try {
+    return await fn();
+  } finally {
+    if (previous === undefined) delete process.env.FETCH_ALLOWLIST;
+    else process.env.FETCH_ALLOWLIST = previous;
+  }
+}
+
+test('flags loopback, private, metadata and reserved addresses', () => {
+  [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '::1', '::', 'fc00::1', 'fe80::1%eth0'
+  ].forEach((address) => assert.equal(isPrivateAddress(address), true, address));
+
+  ['8.8.8.8', '93.184.216.34', '2606:4700::1'].forEach((address) => {
+    assert.equal(isPrivateAddress(address), false, address);
+  });
+});
+
+test('flags private IPv4 addresses embedded in IPv6', () => {
+  [
+    '::ffff:127.0.0.1', '::ffff:7f00:1', // IPv4-mapped
+    '::127.0.0.1', '::a9fe:a9fe', // IPv4-compatible
+    '64:ff9b::10.0.0.1', '64:ff9b::a9fe:a9fe', // NAT64
+    '2002:7f00:1::1', '2002:c0a8:101::' // 6to4
+  ].forEach((address) => assert.equal(isPrivateAddress(address), true, address));
+
+  ['::ffff:8.8.8.8', '64:ff9b::808:808', '2002:808:808::1'].forEach((address) => {
+    assert.equal(isPrivateAddress(address), false, address);
+  });
+});
+
+test('rejects private literals however they are written', () => {
+  [
+    'http://127.0.0.1/',
+    'http://0x7f000001/', // hex
+    'http://2130706433/', // decimal
+    'http://0177.0.0.1/', // octal
+    'http://127.1/', // short form
+    'http://[::ffff:127.0.0.1]/',
+    'http://[64:ff9b::a9fe:a9fe]/',
+    'http://169.254.169.254/latest/meta-data/'
+  ].forEach((url) => assert.throws(() => assertFetchableUrl(url), BlockedUrlError, url));
+
+  assert.throws(() => assertFetchableUrl('file:///etc/passwd'), (error) => error.statusCode === 400);
+  assert.doesNotThrow(() => assertFetchableUrl('https://example.com/'));
+});
+
+test('lets allowlisted hosts through', async () => {
+  await withAllowlist('127.0.0.1, *.internal.test', () => {
+    assert.doesNotThrow(() => assertFetchableUrl('http://127.0.0.1:8080/'));
+    assert.equal(isAllowlisted('app.internal.test'), true);
+    assert.equal(isAllowlisted('internal.test'), false);
+    assert.throws(() => assertFetchableUrl('http://10.0.0.1/'), BlockedUrlError);
+  });
+});
+
+test('refuses hostnames that resolve to private addresses', async () => {
+  const lookup = (hostname) => new Promise((resolve) => {
+    guardedLookup(hostname, {}, (error, address) => resolve({ error, address }));
+  });
+
+  const blocked = await lookup('localhost');
+  assert.ok(blocked.error instanceof BlockedUrlError);
+
+  const allowed = await withAllowlist('localhost', () => lookup('localhost'));
+  assert.equal(allowed.error, null);
+  assert.equal(isPrivateAddress(allowed.address), true);
+});
+
+test('validates every redirect hop', async () => {
+  const server = http.createServer((req, res) => {
+    const location = {
+      '/metadata': 'http://169.254.169.254/latest/meta-data/',
+      '/local': `http://localhost:${server.address().port}/page`
+    }[req.url];
+    if (location) {
+      res.writeHead(302, { Location: location });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<p>page</p>');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    await withAllowlist('127.0.0.1', async () => {
+      assert.equal((await fetchWebsite(`${base}/page`)).html, '<p>page</p>');
+      await assert.rejects(fetchWebsite(`${base}/metadata`), BlockedUrlError);
+      await assert.rejects(fetchWebsite(`${base}/local`), BlockedUrlError);
+    });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,58 @@
+/**
+ * Batch job queue tests (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobQueue } from '../services/jobs.js';
+
+/**
+ * Worker whose items finish when release() is called
+ */
+function blockingWorker() {
+  const waiting = [];
+  return {
+    worker: (input) => new Promise((resolve) => waiting.push(() => resolve({ url: input.url }))),
+    release: () => waiting.splice(0).forEach((resolve) => resolve())
+  };
+}
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('runs items with bounded concurrency and counts pending ones per job', async () => {
+  const { worker, release } = blockingWorker();
+  const queue = new JobQueue({ worker, concurrency: 2 });
+  const a = queue.create([{ url: 'https://a.example/1' }, { url: 'https://a.example/2' }, { url: 'https://a.example/3' }], { client: 'a' });
+  queue.create([{ url: 'https://b.example/1' }], { client: 'b' });
+
+  assert.equal(queue.running, 2);
+  assert.equal(queue.countPending(), 2);
+  assert.equal(queue.countPending((job) => job.context.client === 'a'), 1);
+  assert.equal(queue.countPending((job) => job.context.client === 'b'), 1);
+
+  release();
+  await settle();
+  release();
+  await settle();
+  assert.equal(queue.countPending(), 0);
+  assert.equal(queue.summarize(a).status, 'done');
+});
+
+test('cancelling drops queued items and reports the job once', async () => {
+  const { worker, release } = blockingWorker();
+  const finished = [];
+  const queue = new JobQueue({ worker, concurrency: 1, onFinish: (job) => finished.push(job) });
+  const job = queue.create([{ url: 'https://a.example/1' }, { url: 'https://a.example/2' }]);
+
+  queue.cancel(job.id);
+  assert.equal(queue.countPending(), 0);
+  assert.equal(finished.length, 0);
+
+  release();
+  await settle();
+  assert.equal(job.status, 'cancelled');
+  assert.deepEqual(job.items.map((item) => item.status), ['done', 'cancelled']);
+  assert.equal(finished.length, 1);
+  assert.equal(queue.cancel(job.id), job);
+  assert.equal(finished.length, 1);
+});
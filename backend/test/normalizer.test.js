@@ -0,0 +1,63 @@
+/**
+ * URL normalizer tests (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeUrl, isTrackingParam, normalizationConfig, NORMALIZATION_STEPS, DEFAULT_TRACKING_PARAMS } from '../services/normalizer.js';
+
+const ALL = { steps: NORMALIZATION_STEPS, trackingParams: DEFAULT_TRACKING_PARAMS };
+
+test('equivalent URLs share one key', () => {
+  const variants = [
+    'https://example.com/blog/?b=2&a=1',
+    'https://example.com/blog?a=1&b=2#comments',
+    'https://example.com/blog?utm_source=news&a=1&fbclid=x&b=2',
+    'https://EXAMPLE.com/blog/?a=1&UTM_Medium=email&b=2'
+  ];
+
+  variants.forEach((url) => assert.equal(normalizeUrl(url, ALL), 'https://example.com/blog?a=1&b=2'));
+});
+
+test('keeps repeated params in order and drops an emptied query', () => {
+  assert.equal(normalizeUrl('https://example.com/?tag=b&x=1&tag=a', ALL), 'https://example.com/?tag=b&tag=a&x=1');
+  assert.equal(normalizeUrl('https://example.com/page/?gclid=1', ALL), 'https://example.com/page');
+  assert.equal(normalizeUrl('https://example.com/', ALL), 'https://example.com/');
+});
+
+test('applies only the configured steps', () => {
+  const url = 'https://example.com/a/?utm_source=x&b=1#top';
+
+  assert.equal(normalizeUrl(url, { steps: [], trackingParams: [] }), url);
+  assert.equal(normalizeUrl(url, { steps: ['fragment'], trackingParams: [] }), 'https://example.com/a/?utm_source=x&b=1');
+  assert.equal(normalizeUrl(url, { steps: ['tracking', 'slash'], trackingParams: ['utm_*'] }), 'https://example.com/a?b=1#top');
+});
+
+test('matches tracking params by name or prefix', () => {
+  assert.equal(isTrackingParam('utm_campaign'), true);
+  assert.equal(isTrackingParam('FBCLID'), true);
+  assert.equal(isTrackingParam('utm'), false);
+  assert.equal(isTrackingParam('ref', ['ref*']), true);
+  assert.equal(isTrackingParam('page'), false);
+});
+
+test('reads its configuration from the environment', () => {
+  const previous = { ...process.env };
+  try {
+    process.env.URL_NORMALIZATION = 'sort, bogus';
+    process.env.TRACKING_PARAMS = 'sid';
+    assert.deepEqual(normalizationConfig(), { steps: ['sort'], trackingParams: ['sid'] });
+
+    process.env.URL_NORMALIZATION = 'none';
+    assert.equal(normalizeUrl('https://example.com/a/?b=1&a=2'), 'https://example.com/a/?b=1&a=2');
+  } finally {
+    process.env.URL_NORMALIZATION = previous.URL_NORMALIZATION;
+    process.env.TRACKING_PARAMS = previous.TRACKING_PARAMS;
+    if (previous.URL_NORMALIZATION === undefined) delete process.env.URL_NORMALIZATION;
+    if (previous.TRACKING_PARAMS === undefined) delete process.env.TRACKING_PARAMS;
+  }
+});
+
+test('returns unparseable input as is', () => {
+  assert.equal(normalizeUrl('not a url', ALL), 'not a url');
+});
@@ -0,0 +1,88 @@
+/**
+ * PageSpeed Insights tests (node --test), against a local stand-in endpoint
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const lighthouseResult = {
+  fetchTime: '2026-01-01T00:00:00.000Z',
+  categories: {
+    performance: {
+      score: 0.734,
+      auditRefs: [
+        { id: 'first-contentful-paint', group: 'metrics' },
+        { id: 'render-blocking-resources', group: 'load-opportunities' },
+        { id: 'unused-javascript' },
+        { id: 'dom-size' },
+        { id: 'uses-http2' },
+        { id: 'font-display' },
+        { id: 'missing-audit' }
+      ]
+    }
+  },
+  audits: {
+    'first-contentful-paint': { id: 'first-contentful-paint', score: 0.5, numericValue: 1800, displayValue: '1.8 s' },
+    'largest-contentful-paint': { numericValue: 3200.4, displayValue: '3.2 s' },
+    'render-blocking-resources': {
+      id: 'render-blocking-resources', title: 'Eliminate render-blocking resources', score: 0.3,
+      details: { type: 'opportunity', overallSavingsMs: 450.6, items: [{ url: '/a.css' }] }
+    },
+    'unused-javascript': {
+      id: 'unused-javascript', title: 'Reduce unused JavaScript', score: 0.4,
+      details: { type: 'opportunity', overallSavingsMs: 900, overallSavingsBytes: 120000 }
+    },
+    'dom-size': { id: 'dom-size', title: 'Avoid an excessive DOM size', score: 0.6, displayValue: '1,900 elements' },
+    'uses-http2': { id: 'uses-http2', score: 1 },
+    'font-display': { id: 'font-display', score: 0, scoreDisplayMode: 'notApplicable' }
+  }
+};
+
+test('runs PageSpeed and splits failing audits into opportunities and diagnostics', async () => {
+  let query;
+  const server = http.createServer((req, res) => {
+    query = new URL(req.url, 'http://localhost').searchParams;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ lighthouseResult }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  // The endpoint is read when the module loads
+  process.env.PAGESPEED_ENDPOINT = `http://127.0.0.1:${server.address().port}/runPagespeed`;
+  try {
+    const { runPageSpeed } = await import('../services/pagespeed.js');
+    const result = await runPageSpeed('https://example.com/', 'desktop');
+
+    assert.equal(query.get('url'), 'https://example.com/');
+    assert.equal(query.get('strategy'), 'desktop');
+    assert.equal(result.performanceScore, 73);
+    assert.equal(result.metrics.fcpMs, 1800);
+    assert.equal(result.metrics.tbtMs, null);
+    assert.equal(result.display.lcp, '3.2 s');
+    assert.equal(result.fetchedAt, lighthouseResult.fetchTime);
+
+    assert.deepEqual(result.opportunities.map((finding) => [finding.id, finding.savingsMs]), [
+      ['unused-javascript', 900],
+      ['render-blocking-resources', 451]
+    ]);
+    assert.equal(result.opportunities[0].savingsBytes, 120000);
+    assert.deepEqual(result.diagnostics.map((finding) => finding.id), ['dom-size']);
+    assert.equal(result.diagnostics[0].displayValue, '1,900 elements');
+  } finally {
+    delete process.env.PAGESPEED_ENDPOINT;
+    server.close();
+  }
+});
+
+test('compares two runs metric by metric', async () => {
+  const { comparePageSpeed } = await import('../services/pagespeed.js');
+  const before = { performanceScore: 60, metrics: { fcpMs: 2000, lcpMs: 4000, cls: 0.25, tbtMs: null } };
+  const after = { performanceScore: 85, metrics: { fcpMs: 1200.5, lcpMs: 2500, cls: 0.1, tbtMs: 100 } };
+
+  assert.deepEqual(comparePageSpeed(before, after), {
+    performanceScore: 25,
+    metrics: { fcpMs: -799.5, lcpMs: -1500, cls: -0.15, tbtMs: null }
+  });
+  assert.equal(comparePageSpeed(before, { performanceScore: null, metrics: {} }).performanceScore, null);
+});
@@ -0,0 +1,55 @@
+/**
+ * Sanitizer tests (node --test), through the cheerio optimizer path
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { optimizeHTML } from '../services/optimizer.js';
+import { sanitizeAttributes, isActiveElement } from '../services/sanitizer.js';
+
+const KEEP_ALL = { removeCSS: false, removeImages: false, removeVideos: false, removeFonts: false };
+
+test('removes handlers, script URLs and active elements from optimized pages', async () => {
+  const html = `<html><head>
+    <meta http-equiv="refresh" content="0;url=javascript:alert(1)">
+    <style>a { behavior: url(x.htc) }</style>
+    <style>p { color: red }</style>
+  </head><body onload="x()">
+    <a href=" JaVa&#10;script:alert(1)" title="ok">link</a>
+    <img src="a.png" srcset="javascript:alert(1) 1x" onerror="y()">
+    <iframe srcdoc="<script>alert(1)</script>"></iframe>
+    <object data="a.swf"></object>
+    <svg><a href="#top"><set attributeName="href" to="javascript:alert(1)"/></a></svg>
+    <p style="width: expression(alert(1))">keep</p>
+    <form><button formaction="vbscript:msgbox(1)">send</button></form>
+  </body></html>`;
+
+  const result = await optimizeHTML(html, KEEP_ALL);
+
+  assert.equal(result.sanitized, 11);
+  assert.doesNotMatch(result.html, /javascript:|vbscript:|expression\(|behavior:|\bon(load|error)=|srcdoc|<object|<set|http-equiv/i);
+  assert.match(result.html, /<a title="ok">link<\/a>/);
+  assert.match(result.html, /<img src="a.png">/);
+  assert.match(result.html, /p \{ color: red \}/);
+  assert.match(result.html, /<a href="#top"><\/a>/);
+  assert.match(result.html, /<p>keep<\/p>/);
+});
+
+test('leaves safe pages untouched', async () => {
+  const result = await optimizeHTML('<p><a href="/about" style="color: red">About</a><img src="data:image/png;base64,AAAA"></p>', KEEP_ALL);
+
+  assert.equal(result.sanitized, 0);
+  assert.match(result.html, /<a href="\/about" style="color: red">About<\/a>/);
+  assert.match(result.html, /src="data:image\/png;base64,AAAA"/);
+});
+
+test('classifies elements and attributes', () => {
+  assert.equal(isActiveElement('embed'), true);
+  assert.equal(isActiveElement('link', { rel: 'stylesheet import' }), true);
+  assert.equal(isActiveElement('base', { href: 'javascript:alert(1)' }), true);
+  assert.equal(isActiveElement('link', { rel: 'stylesheet' }), false);
+
+  const attribs = { href: 'data:text/html,<script>1</script>', onMouseOver: 'x()', class: 'nav' };
+  assert.equal(sanitizeAttributes('a', attribs), 2);
+  assert.deepEqual(attribs, { class: 'nav' });
+});
@@ -0,0 +1,111 @@
+/**
+ * Streaming optimizer tests (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable, PassThrough } from 'stream';
+import { optimizeHTMLStreaming, optimizeIntoStream } from '../services/streamer.js';
+
+const KEEP_CSS = { removeCSS: false, removeImages: false };
+
+test('drops markup smuggled in an SVG <style>', async () => {
+  const result = await optimizeHTMLStreaming(
+    '<p>a</p><svg><style><img src=x onerror=alert(1)></style></svg>',
+    KEEP_CSS
+  );
+
+  assert.doesNotMatch(result.output, /onerror|<img/);
+  assert.match(result.output, /<svg><\/svg>/);
+  assert.equal(result.sanitized, 1);
+});
+
+test('drops markup smuggled in a MathML <style>', async () => {
+  const result = await optimizeHTMLStreaming(
+    '<math><style><img src=x onerror=alert(1)></style></math>',
+    KEEP_CSS
+  );
+
+  assert.doesNotMatch(result.output, /onerror|<img/);
+  assert.equal(result.sanitized, 1);
+});
+
+test('keeps plain CSS in SVG <style>', async () => {
+  const result = await optimizeHTMLStreaming(
+    '<svg><style>.a { fill: red }</style><style><![CDATA[.b > .c { fill: blue }]]></style></svg><style>p > a { color: red }</style>',
+    KEEP_CSS
+  );
+
+  assert.match(result.output, /<style>\.a \{ fill: red \}<\/style>/);
+  assert.match(result.output, /<!\[CDATA\[\.b > \.c \{ fill: blue \}\]\]>/);
+  assert.match(result.output, /<style>p > a \{ color: red \}<\/style>/);
+  assert.equal(result.sanitized, 0);
+});
+
+test('keeps <textarea> entities as written', async () => {
+  const result = await optimizeHTMLStreaming('<textarea>a &amp; b &lt;i&gt; <b></textarea><title>x &amp; y</title>');
+
+  assert.match(result.output, /<textarea>a &amp; b &lt;i&gt; &lt;b&gt;<\/textarea>/);
+  assert.match(result.output, /<title>x &amp; y<\/title>/);
+});
+
+test('keeps <xmp> raw text, but escapes it inside SVG', async () => {
+  const result = await optimizeHTMLStreaming('<xmp>a &amp; <b></xmp><svg><xmp><img src=x onerror=alert(1)></xmp></svg>');
+
+  assert.match(result.output, /<xmp>a &amp; <b><\/xmp>/);
+  assert.match(result.output, /<svg><xmp>&lt;img src=x onerror=alert\(1\)&gt;<\/xmp><\/svg>/);
+});
+
+test('routes GET forms through the proxy with namespaced fields', async () => {
+  const result = await optimizeHTMLStreaming(
+    '<form action="/search"><input name="url"></form>',
+    { proxyLinks: true, baseUrl: 'https://example.com/' }
+  );
+
+  assert.match(result.output, /<form action="\/optimize" method="get"><input type="hidden" name="_url" value="https:\/\/example\.com\/search"><input type="hidden" name="_form" value="1"><input name="url">/);
+});
+
+test('empties raw-text elements that htmlparser2 parses as markup', async () => {
+  const result = await optimizeHTMLStreaming(
+    '<iframe src="a"><img title="</iframe><img src=x onerror=alert(1)>"></iframe>' +
+      '<noembed><img title="</noembed><img src=x onerror=alert(1)>"></noembed>' +
+      '<noframes><!--</noframes><img src=x onerror=alert(1)>--></noframes><p>after</p>',
+    KEEP_CSS
+  );
+
+  assert.doesNotMatch(result.output, /onerror|<img/);
+  assert.match(result.output, /<iframe src="a"><\/iframe><noembed><\/noembed><noframes><\/noframes><p>after<\/p>/);
+});
+
+test('escapes tag delimiters in attribute values', async () => {
+  const result = await optimizeHTMLStreaming('<p title="</p><img src=x>">x</p>', KEEP_CSS);
+
+  assert.match(result.output, /<p title="&lt;\/p&gt;&lt;img src=x&gt;">x<\/p>/);
+});
+
+test('drops comments that a browser would end early', async () => {
+  const result = await optimizeHTMLStreaming(
+    '<p><!-- a --!><img src=x onerror=alert(1)> --></p><!-- kept -->',
+    KEEP_CSS
+  );
+
+  assert.doesNotMatch(result.output, /onerror|<img/);
+  assert.match(result.output, /<p><\/p><!-- kept -->/);
+  assert.equal(result.sanitized, 1);
+});
+
+test('optimizes a body into a sink and keeps the original', async () => {
+  const source = Readable.from([Buffer.from('<p>caf'), Buffer.from([0xe9]), Buffer.from('</p><img src="a.png">')]);
+  const sink = new PassThrough();
+  const written = [];
+  sink.on('data', (chunk) => written.push(chunk));
+
+  const result = await optimizeIntoStream(source, sink, { contentType: 'text/html; charset=windows-1252' });
+
+  assert.equal(result.original, '<p>café</p><img src="a.png">');
+  assert.equal(result.originalSize, 28);
+  assert.equal(result.charset, 'windows-1252');
+  assert.equal(Buffer.concat(written).toString('utf8'), result.output);
+  assert.match(result.output, /<p>café<\/p>/);
+  assert.equal(result.imagesRemoved, 1);
+});
@@ -28,12 +28,78 @@ import {
   ResponsiveContainer
 } from 'recharts'
 
+/**
+ * Read a Server-Sent Events response body, calling onEvent(event, data)
+ * for each event as it arrives
+ */
+async function readEvents(response, onEvent) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += value
+
+    // Events are separated by a blank line
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+
+      let event = 'message'
+      let data = ''
+      block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        if (line.startsWith('data:')) data += line.slice(5).trim()
+      })
+      if (data) onEvent(event, JSON.parse(data))
+    }
+  }
+}
+
+// Progress label for each removal category
+const REMOVAL_LABELS = {
+  css: (count) => `Removed ${count} stylesheets`,
+  images: (count) => `Removed ${count} images`,
+  videos: (count) => `Removed ${count} videos`,
+  fonts: (count) => `Removed ${count} fonts`,
+  noscript: (count) => `Promoted ${count} noscript fallbacks`,
+  sanitized: (count) => `Sanitized ${count} active elements`,
+  links: (count) => `Rewrote ${count} links`
+}
+
+// Progress label for each optimization stage
+const STAGE_LABELS = {
+  fetch: () => 'Fetching page...',
+  bytes: (data) => `Downloaded ${Math.round(data.received / 1024)} KB${data.done ? '' : '...'}`,
+  parse: () => 'Parsed page',
+  removal: (data) => REMOVAL_LABELS[data.category]?.(data.count) || `${data.category}: ${data.count}`,
+  subresources: (data) => `Measured ${data.measured} of ${data.requests} subresources`,
+  metrics: () => 'Metrics ready'
+}
+
+// Row label for each subresource category
+const SUBRESOURCE_LABELS = {
+  css: 'Stylesheets',
+  images: 'Images',
+  videos: 'Media',
+  fonts: 'Fonts',
+  scripts: 'Scripts',
+  frames: 'Frames',
+  other: 'Other'
+}
+
 function Dashboard() {
   const [searchParams] = useSearchParams()
   const [url, setUrl] = useState('')
   const [metrics, setMetrics] = useState(null)
   const [psi, setPsi] = useState(null)
+  const [comparison, setComparison] = useState(null)
   const [loading, setLoading] = useState(false)
+  const [progress, setProgress] = useState([])
+  // Fetching every subresource is slow and costs upstream bandwidth, so it is opt-in
+  const [measureSubresources, setMeasureSubresources] = useState(false)
 
   // Parse data from URL if coming from extension
   useEffect(() => {
@@ -72,6 +138,27 @@ function Dashboard() {
 
   const COLORS = ['#8b5cf6', '#6366f1', '#ec4899', '#f59e0b']
 
+  // PageSpeed timings of the original and the optimized page, side by side
+  const comparisonData = comparison ? [
+    { name: 'FCP', metric: 'fcpMs' },
+    { name: 'LCP', metric: 'lcpMs' },
+    { name: 'Speed Index', metric: 'siMs' },
+    { name: 'TBT', metric: 'tbtMs' },
+  ].map(({ name, metric }) => ({
+    name,
+    'Original (ms)': comparison.original.metrics[metric] ?? 0,
+    'Optimized (ms)': comparison.optimized.metrics[metric] ?? 0,
+  })) : []
+
+  // Backend metrics are network-model estimates; extension metrics are measured
+  const profiles = metrics?.networkProfiles ? Object.entries(metrics.networkProfiles) : []
+  const subresourceRows = metrics?.subresourceWeight
+    ? Object.entries(metrics.subresourceWeight.byCategory).filter(([, totals]) => totals.requests > 0)
+    : []
+  const estimateLabel = metrics?.networkProfile
+    ? ` (estimated, ${metrics.networkProfiles?.[metrics.networkProfile]?.label || metrics.networkProfile})`
+    : ''
+
   const handleOptimize = async () => {
     if (!url.trim()) {
       alert('Please enter a valid URL')
@@ -85,20 +172,23 @@ function Dashboard() {
     }
 
     setLoading(true)
+    setProgress([])
     
     try {
-      // Call backend API to optimize
+      // Call backend API to optimize, streaming progress events as it runs
       const response = await fetch(API_ENDPOINTS.optimize, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
         },
         body: JSON.stringify({
           url: targetUrl,
           removeCSS: true,
           removeImages: true,
           removeVideos: true,
-          removeFonts: true
+          removeFonts: true,
+          measureSubresources
         })
       })
 
@@ -107,18 +197,48 @@ function Dashboard() {
         throw new Error(error.message || 'Failed to optimize website')
       }
 
-      const data = await response.json()
+      let data = null
+      await readEvents(response, (event, eventData) => {
+        if (event === 'result') {
+          data = eventData
+        } else if (event === 'error') {
+          throw new Error(eventData.message || 'Failed to optimize website')
+        } else if (STAGE_LABELS[event]) {
+          const label = STAGE_LABELS[event](eventData)
+          // Byte counts update in place instead of adding a line each
+          setProgress((lines) => (
+            event === 'bytes' && lines.length && lines[lines.length - 1].stage === 'bytes'
+              ? [...lines.slice(0, -1), { stage: event, label }]
+              : [...lines, { stage: event, label }]
+          ))
+        }
+      })
+      if (!data) {
+        throw new Error('Connection closed before the optimization finished')
+      }
       
       // Set metrics
       setMetrics(data.metrics)
       setPsi(null)
+      setComparison(null)
 
-      // Fetch PageSpeed (best-effort)
+      // Fetch PageSpeed for the original and optimized page (best-effort), falling
+      // back to the original only, then to the offline static audit
       try {
-        const psiRes = await fetch(`${API_BASE_URL}/api/pagespeed?url=${encodeURIComponent(targetUrl)}&strategy=mobile`)
-        if (psiRes.ok) {
-          const psiData = await psiRes.json()
-          setPsi(psiData)
+        const compareRes = await fetch(`${API_BASE_URL}/api/pagespeed/compare?url=${encodeURIComponent(targetUrl)}&strategy=mobile`)
+        if (compareRes.ok) {
+          const compareData = await compareRes.json()
+          setComparison(compareData)
+          setPsi(compareData.original)
+        } else {
+          let psiRes = await fetch(`${API_BASE_URL}/api/pagespeed?url=${encodeURIComponent(targetUrl)}&strategy=mobile`)
+          if (!psiRes.ok) {
+            psiRes = await fetch(`${API_BASE_URL}/api/audit?url=${encodeURIComponent(targetUrl)}`)
+          }
+          if (psiRes.ok) {
+            const psiData = await psiRes.json()
+            setPsi(psiData)
+          }
         }
       } catch {}
       
@@ -194,9 +314,30 @@ function Dashboard() {
               disabled={loading}
               className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {loading ? 'Optimizing...' : 'Optimize'}
+              {loading ? (progress[progress.length - 1]?.label || 'Starting...') : 'Optimize'}
             </button>
           </div>
+          <label className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={measureSubresources}
+              onChange={(e) => setMeasureSubresources(e.target.checked)}
+              disabled={loading}
+              className="accent-purple-600"
+            />
+            Measure subresources (fetches every image, script, stylesheet and font; slower)
+          </label>
+
+          {/* Live progress while the optimization runs */}
+          {loading && progress.length > 0 && (
+            <ul className="mt-4 space-y-1 text-sm text-gray-600">
+              {progress.map((line, i) => (
+                <li key={i} className={i === progress.length - 1 ? 'font-semibold text-purple-600' : ''}>
+                  {line.label}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
         {/* Current Website Info */}
@@ -222,7 +363,7 @@ function Dashboard() {
                 <div className="text-3xl font-bold text-green-600 mb-2">
                   {formatTime(metrics.loadTimeReduction)}
                 </div>
-                <div className="text-gray-600">Time Saved</div>
+                <div className="text-gray-600">Time Saved{estimateLabel}</div>
               </div>
               
               <div className="card text-center">
@@ -243,21 +384,72 @@ function Dashboard() {
             {/* PageSpeed Insights (optional) */}
             {psi && (
               <div className="card mb-8">
-                <h3 className="text-xl font-bold mb-4">Google PageSpeed Insights</h3>
+                <h3 className="text-xl font-bold mb-4">
+                  {psi.strategy === 'static' ? 'Static Performance Audit' : 'Google PageSpeed Insights'}
+                </h3>
                 <div className="grid md:grid-cols-3 gap-4">
                   <div className="p-4 rounded-lg border border-gray-200 bg-white">
                     <div className="text-gray-500 text-sm">Performance score</div>
                     <div className="text-3xl font-bold text-purple-600">{psi.performanceScore ?? '—'}</div>
                   </div>
                   <div className="p-4 rounded-lg border border-gray-200 bg-white">
-                    <div className="text-gray-500 text-sm">LCP</div>
-                    <div className="text-2xl font-bold">{psi.display?.lcp ?? '—'}</div>
+                    <div className="text-gray-500 text-sm">{psi.strategy === 'static' ? 'DOM size' : 'LCP'}</div>
+                    <div className="text-2xl font-bold">{(psi.strategy === 'static' ? psi.display?.domElements : psi.display?.lcp) ?? '—'}</div>
                   </div>
                   <div className="p-4 rounded-lg border border-gray-200 bg-white">
-                    <div className="text-gray-500 text-sm">CLS</div>
-                    <div className="text-2xl font-bold">{psi.display?.cls ?? '—'}</div>
+                    <div className="text-gray-500 text-sm">{psi.strategy === 'static' ? 'Render-blocking' : 'CLS'}</div>
+                    <div className="text-2xl font-bold">{(psi.strategy === 'static' ? psi.display?.renderBlocking : psi.display?.cls) ?? '—'}</div>
                   </div>
                 </div>
+                {psi.opportunities?.length > 0 && (
+                  <ul className="mt-4 space-y-2 text-sm">
+                    {psi.opportunities.map((opportunity) => (
+                      <li key={opportunity.id} className="flex justify-between gap-4">
+                        <span>{opportunity.title}</span>
+                        <span className="text-gray-500">{opportunity.displayValue}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {/* PageSpeed of the original vs the optimized page */}
+            {comparison && (
+              <div className="card mb-8">
+                <h3 className="text-xl font-bold mb-4">PageSpeed: Original vs Optimized</h3>
+                <div className="grid md:grid-cols-3 gap-4 mb-6">
+                  <div className="p-4 rounded-lg border border-gray-200 bg-white">
+                    <div className="text-gray-500 text-sm">Original score</div>
+                    <div className="text-3xl font-bold">{comparison.original.performanceScore ?? '—'}</div>
+                  </div>
+                  <div className="p-4 rounded-lg border border-gray-200 bg-white">
+                    <div className="text-gray-500 text-sm">Optimized score</div>
+                    <div className="text-3xl font-bold text-green-600">{comparison.optimized.performanceScore ?? '—'}</div>
+                  </div>
+                  <div className="p-4 rounded-lg border border-gray-200 bg-white">
+                    <div className="text-gray-500 text-sm">Change</div>
+                    <div className="text-3xl font-bold text-purple-600">
+                      {comparison.delta.performanceScore == null
+                        ? '—'
+                        : `${comparison.delta.performanceScore > 0 ? '+' : ''}${comparison.delta.performanceScore}`}
+                    </div>
+                  </div>
+                </div>
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart data={comparisonData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" />
+                    <YAxis />
+                    <Tooltip />
+                    <Legend />
+                    <Bar dataKey="Original (ms)" fill="#6366f1" />
+                    <Bar dataKey="Optimized (ms)" fill="#8b5cf6" />
+                  </BarChart>
+                </ResponsiveContainer>
+                <p className="text-gray-600 text-sm mt-4">
+                  CLS {comparison.original.display?.cls ?? '—'} → {comparison.optimized.display?.cls ?? '—'}
+                </p>
               </div>
             )}
 
@@ -265,7 +457,7 @@ function Dashboard() {
             <div className="grid md:grid-cols-2 gap-6 mb-8">
               {/* Load Time Comparison */}
               <div className="card">
-                <h3 className="text-xl font-bold mb-4">Load Time Comparison</h3>
+                <h3 className="text-xl font-bold mb-4">Load Time Comparison{estimateLabel}</h3>
                 <ResponsiveContainer width="100%" height={300}>
                   <BarChart data={chartData}>
                     <CartesianGrid strokeDasharray="3 3" />
@@ -294,6 +486,78 @@ function Dashboard() {
               </div>
             </div>
 
+            {/* Load time per network profile (backend estimates only) */}
+            {profiles.length > 0 && (
+              <div className="card mb-8">
+                <h3 className="text-xl font-bold mb-2">Load Time by Network</h3>
+                <p className="text-gray-600 text-sm mb-4">
+                  Estimated from page size, round trips and the {metrics.subresourceRequests?.avoided ?? 0} subresource
+                  requests avoided ({metrics.subresourceRequests?.before ?? 0} before, {metrics.subresourceRequests?.after ?? 0} after).
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead>
+                      <tr className="border-b">
+                        <th className="text-left py-3 px-4">Network</th>
+                        <th className="text-right py-3 px-4">Before</th>
+                        <th className="text-right py-3 px-4">After</th>
+                        <th className="text-right py-3 px-4">Improvement</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {profiles.map(([name, profile]) => (
+                        <tr key={name} className="border-b last:border-0">
+                          <td className="py-3 px-4 font-medium">{profile.label}</td>
+                          <td className="py-3 px-4 text-right">{formatTime(profile.beforeLoadTime)}</td>
+                          <td className="py-3 px-4 text-right text-green-600 font-semibold">
+                            {formatTime(profile.afterLoadTime)}
+                          </td>
+                          <td className="py-3 px-4 text-right text-purple-600 font-semibold">
+                            -{formatTime(profile.loadTimeReduction)} ({profile.loadTimeReductionPercent}%)
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {/* Bytes avoided per subresource category (measured with HEAD / ranged GET) */}
+            {subresourceRows.length > 0 && (
+              <div className="card mb-8">
+                <h3 className="text-xl font-bold mb-2">Subresource Weight</h3>
+                <p className="text-gray-600 text-sm mb-4">
+                  {formatBytes(metrics.totalBytesAvoided)} avoided in total, page and subresources
+                  ({metrics.subresourceWeight.measured} of {metrics.subresourceWeight.requests} subresources measured).
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead>
+                      <tr className="border-b">
+                        <th className="text-left py-3 px-4">Type</th>
+                        <th className="text-right py-3 px-4">Requests</th>
+                        <th className="text-right py-3 px-4">Size</th>
+                        <th className="text-right py-3 px-4">Avoided</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {subresourceRows.map(([category, totals]) => (
+                        <tr key={category} className="border-b last:border-0">
+                          <td className="py-3 px-4 font-medium">{SUBRESOURCE_LABELS[category] || category}</td>
+                          <td className="py-3 px-4 text-right">{totals.avoidedRequests} / {totals.requests}</td>
+                          <td className="py-3 px-4 text-right">{formatBytes(totals.bytes)}</td>
+                          <td className="py-3 px-4 text-right text-purple-600 font-semibold">
+                            -{formatBytes(totals.avoidedBytes)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
             {/* Optimization Breakdown */}
             <div className="card mb-8">
               <h3 className="text-xl font-bold mb-4">Optimization Breakdown</h3>
@@ -333,7 +597,7 @@ function Dashboard() {
                   </thead>
                   <tbody>
                     <tr className="border-b">
-                      <td className="py-3 px-4 font-medium">Load Time</td>
+                      <td className="py-3 px-4 font-medium">Load Time{estimateLabel}</td>
                       <td className="py-3 px-4 text-right">{formatTime(metrics.beforeLoadTime)}</td>
                       <td className="py-3 px-4 text-right text-green-600 font-semibold">
                         {formatTime(metrics.afterLoadTime)}